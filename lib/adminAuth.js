@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Higher levels include every permission of the lower ones
+const ROLE_LEVELS = {
+  read: 1,
+  operator: 2
+};
+
+// Shorter tokens are too easy to guess
+const MIN_TOKEN_LENGTH = 16;
+
+// ADMIN_API_KEYS format: "name:token:role,name:token:role"
+function parseAdminKeys(value) {
+  if (!value) return [];
+
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const [name, token, role = 'read'] = item.split(':').map(part => part.trim());
+      if (!name || !token || !ROLE_LEVELS[role]) {
+        throw new Error(`Invalid ADMIN_API_KEYS entry for "${name || '?'}" (expected name:token:read|operator)`);
+      }
+      // The .env.example placeholders are public: never accept them as keys
+      if (token.length < MIN_TOKEN_LENGTH || token.startsWith('replace_with')) {
+        throw new Error(`ADMIN_API_KEYS token for "${name}" must be a random secret of at least ${MIN_TOKEN_LENGTH} characters`);
+      }
+      return { name, token, role };
+    });
+}
+
+function tokensMatch(expected, provided) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(provided);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Accepts "Authorization: Bearer <token>" or "X-API-Key: <token>"
+function extractToken(req) {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+function createAdminAuth({ keys }) {
+  function authenticate(req) {
+    const token = extractToken(req);
+    if (!token) return null;
+    return keys.find(key => tokensMatch(key.token, token)) || null;
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (keys.length === 0) {
+        return res.status(503).json({ error: 'Admin API disabled (ADMIN_API_KEYS not set)' });
+      }
+
+      const key = authenticate(req);
+
+      if (!key) {
+        logger.warn('Rejected admin request', { method: req.method, path: req.originalUrl });
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      if (ROLE_LEVELS[key.role] < ROLE_LEVELS[role]) {
+        logger.warn('Admin request lacks required role', {
+          admin: key.name,
+          required_role: role,
+          method: req.method,
+          path: req.originalUrl
+        });
+        return res.status(403).json({ error: `Requires ${role} role` });
+      }
+
+      req.admin = { name: key.name, role: key.role };
+      next();
+    };
+  }
+
+  return { requireRole };
+}
+
+const AUDIT_NAMESPACE = 'audit';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Audit trail of admin actions, kept in the shared state store as one
+// append-only list per UTC day, so recording an action never rewrites the
+// earlier ones and whole days drop out after `retentionDays`
+function createAuditLog({ store, retentionDays = 365 }) {
+  async function record(req, action, conversationId = null, details = {}) {
+    const timestamp = new Date().toISOString();
+    const entry = {
+      actor: req.admin?.name || 'unknown',
+      role: req.admin?.role || null,
+      action,
+      conversation_id: conversationId,
+      ip: req.ip,
+      timestamp,
+      ...details
+    };
+
+    try {
+      await store.append(AUDIT_NAMESPACE, timestamp.slice(0, 10), entry);
+      logger.info('Admin action audited', {
+        admin: entry.actor,
+        action,
+        conversation_id: conversationId
+      });
+    } catch (error) {
+      logger.error('Failed to write audit entry', { error });
+    }
+
+    return entry;
+  }
+
+  // Newest first; reads back only as many days as it needs
+  async function list({ limit = 100, conversationId = null } = {}) {
+    const days = (await store.listKeys(AUDIT_NAMESPACE)).sort().reverse();
+    const entries = [];
+
+    for (const day of days) {
+      const dayEntries = (await store.range(AUDIT_NAMESPACE, day))
+        .filter(entry => !conversationId || entry.conversation_id === conversationId)
+        .reverse();
+      entries.push(...dayEntries);
+      if (entries.length >= limit) break;
+    }
+    return entries.slice(0, limit);
+  }
+
+  // Drop the days that are past the retention period
+  async function purge(now = new Date()) {
+    if (!retentionDays) return 0;
+
+    const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString().slice(0, 10);
+    let removed = 0;
+
+    for (const day of await store.listKeys(AUDIT_NAMESPACE)) {
+      if (day >= cutoff) continue;
+      const count = (await store.range(AUDIT_NAMESPACE, day)).length;
+      await store.trimStart(AUDIT_NAMESPACE, day, count);
+      removed += count;
+    }
+
+    if (removed) {
+      logger.info('Purged old audit entries', { entries: removed, retention_days: retentionDays });
+    }
+    return removed;
+  }
+
+  return { record, list, purge };
+}
+
+module.exports = {
+  ROLE_LEVELS,
+  parseAdminKeys,
+  createAdminAuth,
+  createAuditLog
+};
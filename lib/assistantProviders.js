@@ -0,0 +1,397 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+const { runError, createRunExecutor } = require('./assistantRuns');
+const { buildThreadMessage } = require('./inboundMedia');
+
+const PROVIDERS = ['assistants', 'responses'];
+
+// A provider answers one user turn on a conversation "thread" and hides which
+// OpenAI API is behind it:
+//   respond({ threadId, turn, assistant, context }) -> { text, annotations, messageId, threadId }
+//   addNote(threadId, text)       - context for the model, not shown to the customer
+//   history(threadId, { limit })  - recent messages, oldest first, as { role, text }
+//   purge(now)                    - drop history kept here past its retention
+// `assistant` is the routed assistant's settings (id, model, instructions...).
+// Annotations always use the Assistants shape ({ type, text, file_citation })
+// so citation handling does not depend on the backend.
+
+// Assistants API (beta threads and runs): the original integration
+function createAssistantsProvider({ openai, toolRegistry, run = {} }) {
+  // Streams runs (polling fallback), dispatches tool calls and cancels runs
+  // that exceed the timeout
+  const runExecutor = createRunExecutor({ openai, toolRegistry, ...run });
+  const runTools = new Map();
+
+  // Thread ids from the other backend (after switching providers) are not ours
+  const ownsThread = threadId => typeof threadId === 'string' && threadId.startsWith('thread_');
+
+  // The assistant's own tools (file_search etc.) plus our registered functions;
+  // passing tools on a run replaces the assistant's, so both are sent.
+  // Cached per assistant id.
+  function getRunTools(assistantId) {
+    if (!runTools.has(assistantId)) {
+      runTools.set(assistantId, openai.beta.assistants.retrieve(assistantId)
+        .then(assistant => {
+          const registered = toolRegistry.definitions();
+          const own = (assistant.tools || []).filter(tool =>
+            tool.type !== 'function' || !toolRegistry.has(tool.function?.name)
+          );
+          return [...own, ...registered];
+        })
+        .catch(error => {
+          runTools.delete(assistantId);
+          throw error;
+        }));
+    }
+    return runTools.get(assistantId);
+  }
+
+  async function respond({ threadId, turn, assistant, context = {} }) {
+    let thread;
+    if (!ownsThread(threadId)) {
+      thread = await openai.beta.threads.create();
+      logger.info('Created new thread', { thread_id: thread.id });
+    } else {
+      thread = { id: threadId };
+      logger.debug('Using existing thread', { thread_id: threadId });
+    }
+
+    await openai.beta.threads.messages.create(thread.id, buildThreadMessage(turn));
+
+    // Attached documents need file_search even if the assistant doesn't enable it
+    let tools = await getRunTools(assistant.id);
+    if (turn.files.length && !tools.some(tool => tool.type === 'file_search')) {
+      tools = [...tools, { type: 'file_search' }];
+    }
+
+    await runExecutor.execute({
+      threadId: thread.id,
+      assistantId: assistant.id,
+      tools,
+      context
+    });
+
+    const messages = await openai.beta.threads.messages.list(thread.id);
+    const assistantMessage = messages.data
+      .filter(msg => msg.role === 'assistant')
+      .sort((a, b) => b.created_at - a.created_at)[0];
+
+    if (!assistantMessage) {
+      throw new Error('No assistant response found');
+    }
+
+    return {
+      text: assistantMessage.content[0].text.value,
+      annotations: assistantMessage.content[0].text.annotations || [],
+      messageId: assistantMessage.id,
+      threadId: thread.id
+    };
+  }
+
+  async function addNote(threadId, text) {
+    if (!ownsThread(threadId)) return;
+    await openai.beta.threads.messages.create(threadId, { role: 'user', content: text });
+  }
+
+  async function history(threadId, { limit = 40 } = {}) {
+    if (!ownsThread(threadId)) return [];
+
+    const page = await openai.beta.threads.messages.list(threadId, { order: 'desc', limit });
+    return page.data
+      .reverse()
+      .map(message => ({
+        role: message.role,
+        text: (message.content || [])
+          .filter(part => part.type === 'text')
+          .map(part => part.text.value)
+          .join('\n')
+      }))
+      .filter(message => message.text);
+  }
+
+  // Threads live in OpenAI; nothing is kept here
+  async function purge() {
+    return 0;
+  }
+
+  return { type: 'assistants', respond, addNote, history, purge };
+}
+
+const RESPONSE_THREADS = 'response_threads';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Responses API. There are no threads: this server keeps each conversation's
+// history as an append-only list in the state store (under ids starting with
+// "rt_"), trimmed to the last `maxHistory` messages and purged after
+// `retentionDays`, and sends it with the system prompt, our tools and
+// file_search over the configured vector stores on every turn. Per-assistant
+// `model`, `instructions`/`instructions_file` and `vector_store_ids` override
+// the defaults.
+function createResponsesProvider({
+  openai,
+  toolRegistry,
+  store,
+  model = 'gpt-4o-mini',
+  instructions = '',
+  instructionsFile = null,
+  vectorStoreIds = [],
+  maxHistory = 40,
+  maxToolRounds = 5,
+  timeoutMs = 60000,
+  retentionDays = 90
+}) {
+  const instructionFiles = new Map();
+
+  const ownsThread = threadId => typeof threadId === 'string' && threadId.startsWith('rt_');
+
+  function readInstructions(filePath) {
+    if (!instructionFiles.has(filePath)) {
+      instructionFiles.set(filePath, fs.readFileSync(filePath, 'utf8'));
+    }
+    return instructionFiles.get(filePath);
+  }
+
+  // System prompt: the assistant's own, else the default (text or file)
+  function instructionsFor(assistant) {
+    if (assistant.instructions) return assistant.instructions;
+    if (assistant.instructions_file) return readInstructions(assistant.instructions_file);
+    return instructionsFile ? readInstructions(instructionsFile) : instructions;
+  }
+
+  function toolsFor(assistant) {
+    const functions = toolRegistry.definitions().map(({ function: fn }) => ({
+      type: 'function',
+      name: fn.name,
+      description: fn.description,
+      parameters: fn.parameters,
+      strict: false
+    }));
+    const stores = assistant.vector_store_ids || vectorStoreIds;
+    return stores.length
+      ? [...functions, { type: 'file_search', vector_store_ids: stores }]
+      : functions;
+  }
+
+  // Images by file id; documents as input_file (the Responses API reads PDFs)
+  function userContent(turn) {
+    if (!turn.images.length && !turn.files.length) return turn.text;
+    return [
+      ...(turn.text ? [{ type: 'input_text', text: turn.text }] : []),
+      ...turn.images.map(fileId => ({ type: 'input_image', file_id: fileId, detail: 'auto' })),
+      ...turn.files.map(fileId => ({ type: 'input_file', file_id: fileId }))
+    ];
+  }
+
+  // Saved messages are text; threads saved whole (before the lists) may still
+  // hold content parts, of which only the text is kept
+  const textOf = message => (typeof message.content === 'string'
+    ? message.content
+    : message.content.filter(part => part.type === 'input_text').map(part => part.text).join('\n'));
+
+  // A thread saved whole (before the lists) is read until it gets new messages
+  async function loadMessages(threadId) {
+    const messages = await store.range(RESPONSE_THREADS, threadId);
+    if (messages.length) return messages;
+    return (await store.get(RESPONSE_THREADS, threadId))?.messages || [];
+  }
+
+  async function loadThread(threadId) {
+    if (ownsThread(threadId)) {
+      return { id: threadId, messages: await loadMessages(threadId) };
+    }
+    const thread = { id: `rt_${crypto.randomUUID()}`, messages: [] };
+    logger.info('Created new thread', { thread_id: thread.id });
+    return thread;
+  }
+
+  // Appends to the thread's list; the oldest messages are dropped in batches
+  // once the list is twice maxHistory, so most turns only append
+  async function saveMessages(thread, messages) {
+    const at = new Date().toISOString();
+    // A thread saved whole moves into the list with its first new messages
+    if (await store.delete(RESPONSE_THREADS, thread.id)) {
+      messages = [...thread.messages.map(message => ({ role: message.role, content: textOf(message) })), ...messages];
+      thread = { ...thread, messages: [] };
+    }
+    for (const message of messages) {
+      await store.append(RESPONSE_THREADS, thread.id, { at, ...message });
+    }
+
+    const total = thread.messages.length + messages.length;
+    if (total > maxHistory * 2) {
+      await store.trimStart(RESPONSE_THREADS, thread.id, total - maxHistory);
+    }
+  }
+
+  // Responses reference their file citations by position; add Assistants-style
+  // markers at those positions so they can be rendered like before
+  function extractOutput(response) {
+    const parts = response.output
+      .filter(item => item.type === 'message')
+      .flatMap(item => item.content)
+      .filter(part => part.type === 'output_text');
+
+    const annotations = [];
+    const texts = parts.map(part => {
+      let text = part.text;
+      const citations = (part.annotations || [])
+        .filter(annotation => annotation.type === 'file_citation')
+        .sort((a, b) => b.index - a.index);
+
+      citations.forEach(citation => {
+        const marker = `【${annotations.length}:0†source】`;
+        const at = Math.min(Math.max(citation.index, 0), text.length);
+        text = text.slice(0, at) + marker + text.slice(at);
+        annotations.push({ type: 'file_citation', text: marker, file_citation: { file_id: citation.file_id } });
+      });
+      return text;
+    });
+
+    return { text: texts.join('\n\n'), annotations };
+  }
+
+  async function respond({ threadId, turn, assistant, context = {} }) {
+    const thread = await loadThread(threadId);
+    const userMessage = { role: 'user', content: userContent(turn) };
+    const settings = {
+      model: assistant.model || model,
+      instructions: instructionsFor(assistant),
+      tools: toolsFor(assistant)
+    };
+
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const record = status => metrics.assistantRunDuration.observe({ status }, (Date.now() - startedAt) / 1000);
+
+    try {
+      let response = await openai.responses.create({
+        ...settings,
+        input: [
+          ...thread.messages.slice(-maxHistory).map(message => ({ role: message.role, content: textOf(message) })),
+          userMessage
+        ]
+      }, { signal: controller.signal });
+
+      // Function calls: run them and continue the same response chain
+      for (let round = 0; ; round++) {
+        const calls = response.output.filter(item => item.type === 'function_call');
+        if (!calls.length) break;
+        if (round >= maxToolRounds) {
+          throw runError('incomplete', `Assistant made more than ${maxToolRounds} rounds of tool calls`);
+        }
+
+        const outputs = await toolRegistry.dispatch(calls.map(call => ({
+          id: call.call_id,
+          function: { name: call.name, arguments: call.arguments }
+        })), context);
+        logger.info('Submitting tool outputs', { response_id: response.id, count: outputs.length });
+
+        response = await openai.responses.create({
+          ...settings,
+          previous_response_id: response.id,
+          input: outputs.map(output => ({ type: 'function_call_output', call_id: output.tool_call_id, output: output.output }))
+        }, { signal: controller.signal });
+      }
+
+      if (response.status && response.status !== 'completed') {
+        throw runError(response.status, `Assistant response ${response.status}: ${response.error?.message || response.incomplete_details?.reason || ''}`.trim());
+      }
+
+      const { text, annotations } = extractOutput(response);
+      if (!text) {
+        throw new Error('No assistant response found');
+      }
+
+      // Media turns are saved as their text lines only: uploads are deleted
+      // from OpenAI after MEDIA_RETENTION_DAYS and the history is resent on
+      // every turn, so it must never refer to them by file id
+      await saveMessages(thread, [
+        { role: 'user', content: turn.text },
+        { role: 'assistant', content: text }
+      ]);
+
+      record('completed');
+      logger.info('Assistant response completed', { response_id: response.id, duration_ms: Date.now() - startedAt });
+      return { text, annotations, messageId: response.id, threadId: thread.id };
+
+    } catch (error) {
+      if (controller.signal.aborted) {
+        record('timeout');
+        throw runError('timeout', `Assistant timeout after ${timeoutMs}ms`);
+      }
+      record(error.runStatus || 'error');
+      throw error;
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Stored as a user message so the next turn sees it in order
+  async function addNote(threadId, text) {
+    if (!ownsThread(threadId)) return;
+    await saveMessages(await loadThread(threadId), [{ role: 'user', content: text }]);
+  }
+
+  async function history(threadId, { limit = 40 } = {}) {
+    if (!ownsThread(threadId)) return [];
+    const messages = await loadMessages(threadId);
+
+    return messages.slice(-limit)
+      .map(message => ({ role: message.role, text: textOf(message) }))
+      .filter(message => message.text);
+  }
+
+  // Drop messages older than the retention period; the lists are in time
+  // order, so the old ones are always at the start
+  async function purge(now = new Date()) {
+    if (!retentionDays) return 0;
+
+    const cutoff = now.getTime() - retentionDays * DAY_MS;
+    let removed = 0;
+
+    for (const threadId of await store.listKeys(RESPONSE_THREADS)) {
+      const messages = await store.range(RESPONSE_THREADS, threadId);
+      const kept = messages.findIndex(message => Date.parse(message.at) >= cutoff);
+      const count = kept === -1 ? messages.length : kept;
+      if (!count) continue;
+
+      await store.trimStart(RESPONSE_THREADS, threadId, count);
+      removed += count;
+    }
+
+    // Threads saved whole (before the lists) go once unused for as long
+    for (const entry of await store.list(RESPONSE_THREADS)) {
+      if (Date.parse(entry.updatedAt) >= cutoff) continue;
+      await store.delete(RESPONSE_THREADS, entry.key);
+      removed += entry.value.messages?.length || 0;
+    }
+
+    if (removed) {
+      logger.info('Purged old response history', { messages: removed, retention_days: retentionDays });
+    }
+    return removed;
+  }
+
+  return { type: 'responses', respond, addNote, history, purge };
+}
+
+// ASSISTANT_PROVIDER: assistants (default) | responses
+function createAssistantProvider({ type = 'assistants', ...options }) {
+  switch (type) {
+    case 'assistants':
+      return createAssistantsProvider(options);
+    case 'responses':
+      return createResponsesProvider(options);
+    default:
+      throw new Error(`Unknown assistant provider "${type}" (expected ${PROVIDERS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  createAssistantProvider
+};
@@ -0,0 +1,219 @@
+const { logger } = require('./logger');
+const { readConfigFile, ruleMatches } = require('./configFile');
+
+const MATCH_FIELDS = ['language', 'channel', 'topic', 'intent'];
+const ROUTES_NAMESPACE = 'assistant_routes';
+const DEFAULT_ASSISTANT = 'default';
+
+function validateConfig(config, defaultAssistantId, { requireIds = true } = {}) {
+  const assistants = { ...(config.assistants || {}) };
+  // ASSISTANT_ID stays available as "default" unless the file redefines it
+  if (!assistants[DEFAULT_ASSISTANT] && (defaultAssistantId || !requireIds)) {
+    assistants[DEFAULT_ASSISTANT] = { id: defaultAssistantId || null, description: 'Default assistant (ASSISTANT_ID)' };
+  }
+
+  // Assistants API backend: every assistant is an OpenAI assistant id. The
+  // Responses backend only needs the name (plus optional model/instructions).
+  Object.entries(assistants).forEach(([name, assistant]) => {
+    if (!assistant || (requireIds && !assistant.id)) {
+      throw new Error(`Assistant "${name}" needs an id`);
+    }
+  });
+
+  const defaultName = config.default || DEFAULT_ASSISTANT;
+  if (!assistants[defaultName]) {
+    throw new Error(`Default assistant "${defaultName}" is not defined`);
+  }
+
+  const rules = (config.rules || []).map((rule, index) => {
+    const id = rule.id || `rule-${index + 1}`;
+    if (!assistants[rule.assistant]) {
+      throw new Error(`Assistant routing rule "${id}" references unknown assistant "${rule.assistant}"`);
+    }
+    Object.keys(rule.match || {}).forEach(field => {
+      if (!MATCH_FIELDS.includes(field)) {
+        throw new Error(`Assistant routing rule "${id}": match fields must be ${MATCH_FIELDS.join(', ')}`);
+      }
+    });
+    return { id, match: rule.match || {}, assistant: rule.assistant, switch: rule.switch === true };
+  });
+
+  const intents = config.intents || null;
+  if (rules.some(rule => rule.match.intent) && !Object.keys(intents?.labels || {}).length) {
+    throw new Error('Assistant routing rules match on intent but no intents.labels are configured');
+  }
+
+  return {
+    assistants,
+    defaultName,
+    rules,
+    intents,
+    maxSwitches: config.switching?.max_switches ?? 2
+  };
+}
+
+// Loads the assistants and routing rules; without a file every conversation
+// goes to ASSISTANT_ID, as before
+function loadAssistantConfig(filePath, defaultAssistantId, options = {}) {
+  if (!filePath) {
+    return validateConfig({}, defaultAssistantId, options);
+  }
+
+  const config = validateConfig(readConfigFile(filePath), defaultAssistantId, options);
+  logger.info('Loaded assistant routing', {
+    path: filePath,
+    assistants: Object.keys(config.assistants).length,
+    rules: config.rules.length,
+    default: config.defaultName
+  });
+  return config;
+}
+
+// Labels the customer's message with one of the configured intents using a
+// small chat model; null when unsure or on error (rules on intent then skip)
+function createIntentClassifier({ openai, labels, model = 'gpt-4o-mini' }) {
+  const names = Object.keys(labels);
+  const prompt = [
+    'Classify the customer message into exactly one intent.',
+    'Intents:',
+    ...names.map(name => `- ${name}: ${labels[name]}`),
+    'Reply with JSON: {"intent": "<name>"} or {"intent": null} if none fits.'
+  ].join('\n');
+
+  return async function classify(text) {
+    if (!text) return null;
+
+    try {
+      const completion = await openai.chat.completions.create({
+        model,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: prompt },
+          { role: 'user', content: text }
+        ]
+      });
+      const { intent } = JSON.parse(completion.choices[0].message.content);
+      return names.includes(intent) ? intent : null;
+    } catch (error) {
+      logger.warn('Intent classification failed', { error });
+      return null;
+    }
+  };
+}
+
+// Picks the assistant for a conversation. The choice is kept for the life of
+// the thread; rules marked `switch: true` may move an ongoing conversation
+// (at most switching.max_switches times), and operators can switch manually
+// (reason "manual..."), after which rules no longer move it.
+// Routes: { assistant, assistant_id, rule_id, thread_id, routed_at, switches }
+function createAssistantRouter({ config, store, classifyIntent = null }) {
+  const isRouted = Object.keys(config.assistants).length > 1;
+
+  // `settings`: the assistant's entry (id, model, instructions...) for the provider
+  function describe(name, ruleId = null) {
+    const settings = config.assistants[name];
+    return { name, assistantId: settings.id, settings, ruleId, switched: null };
+  }
+
+  // Fills in the intent only when a rule about to be checked needs it
+  async function matchRule(rules, context, text) {
+    if (rules.some(rule => rule.match.intent) && context.intent === undefined) {
+      context.intent = classifyIntent ? await classifyIntent(text) : null;
+    }
+    return rules.find(rule => ruleMatches(rule, context)) || null;
+  }
+
+  async function save(conversationId, route) {
+    await store.set(ROUTES_NAMESPACE, conversationId, route);
+    return route;
+  }
+
+  // `context`: { language, channel, topic }; `text` is used for intent rules
+  async function route(conversationId, { threadId = null, context = {}, text = '' } = {}) {
+    if (!isRouted) return describe(config.defaultName);
+
+    const matchContext = { ...context };
+    const current = await store.get(ROUTES_NAMESPACE, conversationId);
+    // Same thread (or still none, e.g. after a manual switch): keep the choice
+    const sticky = current && current.thread_id === threadId && config.assistants[current.assistant];
+
+    if (!sticky) {
+      const rule = await matchRule(config.rules, matchContext, text);
+      const name = rule ? rule.assistant : config.defaultName;
+      await save(conversationId, {
+        assistant: name,
+        assistant_id: config.assistants[name].id,
+        rule_id: rule?.id || null,
+        thread_id: threadId,
+        routed_at: new Date().toISOString(),
+        intent: matchContext.intent ?? null,
+        switches: []
+      });
+      logger.info('Assistant selected', { conversation_id: conversationId, assistant: name, rule: rule?.id || null });
+      return describe(name, rule?.id || null);
+    }
+
+    // An operator's choice is not overridden by rules
+    const switchRules = config.rules.filter(rule => rule.switch);
+    const manual = current.switches.at(-1)?.reason.startsWith('manual');
+    if (!switchRules.length || manual || current.switches.length >= config.maxSwitches) {
+      return describe(current.assistant, current.rule_id);
+    }
+
+    const rule = await matchRule(switchRules, matchContext, text);
+    if (!rule || rule.assistant === current.assistant) {
+      return describe(current.assistant, current.rule_id);
+    }
+
+    const switched = await switchTo(conversationId, rule.assistant, { reason: `rule:${rule.id}`, current });
+    return { ...describe(rule.assistant, rule.id), switched };
+  }
+
+  // Move the conversation to another assistant on the same thread, so the
+  // new assistant sees everything said so far
+  async function switchTo(conversationId, name, { reason = 'manual', current = null, threadId = null } = {}) {
+    if (!config.assistants[name]) {
+      throw new Error(`Unknown assistant "${name}"`);
+    }
+
+    const previous = current || (await store.get(ROUTES_NAMESPACE, conversationId));
+    const from = previous?.assistant || config.defaultName;
+    const switched = { at: new Date().toISOString(), from, to: name, reason };
+
+    await save(conversationId, {
+      ...(previous || { thread_id: threadId, routed_at: switched.at, intent: null }),
+      assistant: name,
+      assistant_id: config.assistants[name].id,
+      rule_id: reason.startsWith('rule:') ? reason.slice(5) : null,
+      switches: [...(previous?.switches || []), switched]
+    });
+    logger.info('Assistant switched', { conversation_id: conversationId, from, to: name, reason });
+    return switched;
+  }
+
+  // Ties the route to the thread the assistant ran on (created on first turn)
+  async function attachThread(conversationId, threadId) {
+    if (!isRouted) return;
+    const current = await store.get(ROUTES_NAMESPACE, conversationId);
+    if (current && current.thread_id !== threadId) {
+      await save(conversationId, { ...current, thread_id: threadId });
+    }
+  }
+
+  return {
+    route,
+    switchTo,
+    attachThread,
+    get: conversationId => store.get(ROUTES_NAMESPACE, conversationId),
+    forget: conversationId => store.delete(ROUTES_NAMESPACE, conversationId),
+    names: () => Object.keys(config.assistants),
+    isRouted: () => isRouted
+  };
+}
+
+module.exports = {
+  MATCH_FIELDS,
+  loadAssistantConfig,
+  createIntentClassifier,
+  createAssistantRouter
+};
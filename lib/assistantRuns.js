@@ -0,0 +1,206 @@
+const { setTimeout: sleep } = require('timers/promises');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+const ACTIVE_STATUSES = ['queued', 'in_progress', 'requires_action', 'cancelling'];
+
+// Typed run events, shared by the streaming and polling paths:
+//   created | requires_action | completed | failed | expired | cancelled | incomplete
+const STREAM_EVENT_TYPES = {
+  'thread.run.created': 'created',
+  'thread.run.requires_action': 'requires_action',
+  'thread.run.completed': 'completed',
+  'thread.run.failed': 'failed',
+  'thread.run.expired': 'expired',
+  'thread.run.cancelled': 'cancelled',
+  'thread.run.incomplete': 'incomplete'
+};
+
+const STATUS_EVENT_TYPES = ['requires_action', 'completed', 'failed', 'expired', 'cancelled', 'incomplete'];
+
+function runEventFromStream(event) {
+  const type = STREAM_EVENT_TYPES[event.event];
+  return type ? { type, run: event.data } : null;
+}
+
+function runEventFromStatus(run) {
+  return STATUS_EVENT_TYPES.includes(run.status) ? { type: run.status, run } : null;
+}
+
+// Errors for runs that did not complete carry the run status (failed,
+// expired, timeout...) for metrics and callers
+function runError(status, message) {
+  const error = new Error(message);
+  error.runStatus = status;
+  return error;
+}
+
+function throwForEvent(event) {
+  if (event.type === 'failed') {
+    throw runError('failed', `Assistant run failed: ${event.run.last_error?.message}`);
+  }
+  throw runError(event.type, `Assistant run ${event.type}`);
+}
+
+// Executes an Assistant run on a thread: streams run events by default and
+// falls back to polling (with exponential backoff) if streaming breaks.
+// A run that outlives timeoutMs is cancelled so the thread is not left locked.
+function createRunExecutor({
+  openai,
+  toolRegistry,
+  mode = 'stream',
+  timeoutMs = 60000,
+  pollInitialMs = 250,
+  pollMaxMs = 2000
+}) {
+  const runs = openai.beta.threads.runs;
+
+  async function submitOutputs(event, context) {
+    const toolCalls = event.run.required_action?.submit_tool_outputs?.tool_calls || [];
+    const outputs = await toolRegistry.dispatch(toolCalls, context);
+    logger.info('Submitting tool outputs', { run_id: event.run.id, count: outputs.length });
+    return outputs;
+  }
+
+  async function streamRun({ threadId, body, context, state, signal }) {
+    let stream = runs.stream(threadId, body, { signal });
+
+    while (stream) {
+      let next = null;
+
+      for await (const raw of stream) {
+        const event = runEventFromStream(raw);
+        if (!event) continue;
+
+        if (event.type === 'created') {
+          state.runId = event.run.id;
+          logger.debug('Assistant run created', { run_id: state.runId, mode: 'stream' });
+          continue;
+        }
+        if (event.type === 'completed') return;
+        if (event.type === 'requires_action') {
+          const outputs = await submitOutputs(event, context);
+          next = runs.submitToolOutputsStream(threadId, state.runId, { tool_outputs: outputs }, { signal });
+          break;
+        }
+        throwForEvent(event);
+      }
+
+      if (!next) {
+        throw new Error('Assistant stream ended before the run finished');
+      }
+      stream = next;
+    }
+  }
+
+  async function pollRun({ threadId, body, context, state, signal }) {
+    if (!state.runId) {
+      const run = await runs.create(threadId, body, { signal });
+      state.runId = run.id;
+      logger.debug('Assistant run created', { run_id: state.runId, mode: 'poll' });
+    }
+
+    let delay = pollInitialMs;
+
+    for (;;) {
+      const run = await runs.retrieve(threadId, state.runId, { signal });
+      const event = runEventFromStatus(run);
+
+      if (event?.type === 'completed') return;
+      if (event?.type === 'requires_action') {
+        const outputs = await submitOutputs(event, context);
+        await runs.submitToolOutputs(threadId, state.runId, { tool_outputs: outputs }, { signal });
+        delay = pollInitialMs;
+        continue;
+      }
+      if (event) throwForEvent(event);
+
+      await sleep(delay, undefined, { signal });
+      state.attempts++;
+      delay = Math.min(delay * 2, pollMaxMs);
+    }
+  }
+
+  // Ids of the runs still active on the thread, newest first
+  async function activeRunIds(threadId, options) {
+    const { data } = await runs.list(threadId, { limit: 5, order: 'desc' }, options);
+    return data.filter(run => ACTIVE_STATUSES.includes(run.status)).map(run => run.id);
+  }
+
+  // Cancel our run (or, if we never learned its id, any active run on the thread)
+  async function cancelRuns(threadId, runId) {
+    try {
+      const runIds = runId ? [runId] : await activeRunIds(threadId);
+
+      for (const id of runIds) {
+        await runs.cancel(threadId, id);
+        logger.warn('Cancelled assistant run after timeout', { thread_id: threadId, run_id: id });
+      }
+    } catch (error) {
+      logger.error('Failed to cancel assistant run', { thread_id: threadId, run_id: runId, error });
+    }
+  }
+
+  async function execute({ threadId, assistantId, tools, context = {} }) {
+    const body = { assistant_id: assistantId, tools };
+    const state = { runId: null, attempts: 0 };
+    const startedAt = Date.now();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const options = { threadId, body, context, state, signal: controller.signal };
+
+    const record = status => {
+      metrics.assistantRunDuration.observe({ status }, (Date.now() - startedAt) / 1000);
+      metrics.assistantPollAttempts.observe(state.attempts);
+    };
+
+    try {
+      if (mode === 'stream') {
+        try {
+          await streamRun(options);
+        } catch (error) {
+          if (controller.signal.aborted || error.runStatus) throw error;
+          logger.warn('Assistant streaming failed, falling back to polling', { run_id: state.runId, error });
+          // The stream can break after the run was created but before its
+          // id reached us: poll that run rather than starting a second one
+          if (!state.runId) {
+            state.runId = (await activeRunIds(threadId, { signal: controller.signal }))[0] || null;
+          }
+          await pollRun(options);
+        }
+      } else {
+        await pollRun(options);
+      }
+
+      record('completed');
+      logger.info('Assistant run completed', {
+        run_id: state.runId,
+        mode,
+        attempts: state.attempts,
+        duration_ms: Date.now() - startedAt
+      });
+      return { runId: state.runId, attempts: state.attempts };
+
+    } catch (error) {
+      if (controller.signal.aborted) {
+        record('timeout');
+        await cancelRuns(threadId, state.runId);
+        throw runError('timeout', `Assistant timeout after ${timeoutMs}ms`);
+      }
+      record(error.runStatus || 'error');
+      throw error;
+
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return { execute };
+}
+
+module.exports = {
+  runError,
+  runEventFromStream,
+  runEventFromStatus,
+  createRunExecutor
+};
@@ -0,0 +1,77 @@
+const { logger } = require('./logger');
+
+// Registry of server-side functions the Assistant may call during a run.
+// Handlers receive the parsed arguments and a per-run context object, and
+// return any JSON-serializable value that is submitted back as the output.
+function createToolRegistry() {
+  const tools = new Map();
+
+  function register(name, { description, parameters, handler }) {
+    if (tools.has(name)) {
+      throw new Error(`Tool "${name}" is already registered`);
+    }
+    tools.set(name, { description, parameters, handler });
+  }
+
+  // Function definitions in the format expected by the Assistants API
+  function definitions() {
+    return Array.from(tools.entries()).map(([name, tool]) => ({
+      type: 'function',
+      function: {
+        name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  async function dispatchOne(toolCall, context) {
+    const name = toolCall.function?.name;
+    const tool = tools.get(name);
+
+    if (!tool) {
+      logger.warn('Assistant called unknown tool', { tool: name });
+      return { error: `Unknown tool: ${name}` };
+    }
+
+    let args;
+    try {
+      args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (error) {
+      logger.warn('Invalid tool arguments', { tool: name, error });
+      return { error: 'Arguments must be valid JSON' };
+    }
+
+    try {
+      logger.info('Dispatching tool call', { tool: name, tool_call_id: toolCall.id });
+      return await tool.handler(args, context);
+    } catch (error) {
+      logger.error('Tool handler failed', { tool: name, error });
+      return { error: error.message };
+    }
+  }
+
+  // Runs every requested call and returns tool_outputs for submitToolOutputs
+  async function dispatch(toolCalls, context = {}) {
+    const outputs = [];
+
+    for (const toolCall of toolCalls) {
+      const result = await dispatchOne(toolCall, context);
+      outputs.push({
+        tool_call_id: toolCall.id,
+        output: typeof result === 'string' ? result : JSON.stringify(result ?? null)
+      });
+    }
+
+    return outputs;
+  }
+
+  return {
+    register,
+    definitions,
+    dispatch,
+    has: name => tools.has(name)
+  };
+}
+
+module.exports = { createToolRegistry };
@@ -0,0 +1,141 @@
+const { logger } = require('./logger');
+const { readConfigFile } = require('./configFile');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const SEARCH_STEP_MINUTES = 5;
+const SEARCH_HORIZON_DAYS = 14;
+
+function parseTime(value, label) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`Business hours: invalid time "${value}" in ${label} (expected HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function compileCalendar(config) {
+  const timezone = config.timezone || 'UTC';
+
+  // Throws a RangeError for unknown time zones
+  new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+
+  const weekly = {};
+  WEEKDAYS.forEach(day => {
+    weekly[day] = (config.weekly?.[day] || []).map(([start, end]) => ({
+      start: parseTime(start, day),
+      end: parseTime(end, day)
+    }));
+  });
+
+  const holidays = new Map(
+    (config.holidays || []).map(holiday =>
+      typeof holiday === 'string' ? [holiday, null] : [holiday.date, holiday.name || null]
+    )
+  );
+
+  return { timezone, weekly, holidays };
+}
+
+function createBusinessCalendar(config = null) {
+  // No calendar configured: the team is always considered on shift
+  if (!config) {
+    return {
+      configured: false,
+      isOpen: () => true,
+      nextOpening: date => date || new Date(),
+      describeNextOpening: () => null
+    };
+  }
+
+  const calendar = compileCalendar(config);
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: calendar.timezone,
+    weekday: 'long',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  // Wall-clock parts of a date in the calendar's time zone
+  function localParts(date) {
+    const parts = Object.fromEntries(
+      formatter.formatToParts(date).map(part => [part.type, part.value])
+    );
+    return {
+      weekday: parts.weekday.toLowerCase(),
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+  }
+
+  function isOpen(date = new Date()) {
+    const local = localParts(date);
+
+    if (calendar.holidays.has(local.date)) {
+      return false;
+    }
+
+    return calendar.weekly[local.weekday].some(range =>
+      local.minutes >= range.start && local.minutes < range.end
+    );
+  }
+
+  // First moment (to SEARCH_STEP_MINUTES precision) the team is on shift
+  function nextOpening(date = new Date()) {
+    if (isOpen(date)) return date;
+
+    const stepMs = SEARCH_STEP_MINUTES * 60 * 1000;
+    let candidate = new Date(Math.ceil(date.getTime() / stepMs) * stepMs);
+    const horizon = date.getTime() + SEARCH_HORIZON_DAYS * 24 * 60 * 60 * 1000;
+
+    while (candidate.getTime() <= horizon) {
+      if (isOpen(candidate)) return candidate;
+      candidate = new Date(candidate.getTime() + stepMs);
+    }
+
+    return null;
+  }
+
+  // Customer-facing description, e.g. "Sunday at 09:00 (Asia/Dubai time)"
+  function describeNextOpening(date = new Date()) {
+    const opening = nextOpening(date);
+    if (!opening) return null;
+
+    const text = new Intl.DateTimeFormat('en-US', {
+      timeZone: calendar.timezone,
+      weekday: 'long',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(opening);
+
+    return `${text.replace(' ', ' at ')} (${calendar.timezone} time)`;
+  }
+
+  return {
+    configured: true,
+    timezone: calendar.timezone,
+    isOpen,
+    nextOpening,
+    describeNextOpening
+  };
+}
+
+function loadBusinessCalendar(filePath) {
+  if (!filePath) {
+    return createBusinessCalendar(null);
+  }
+
+  const config = readConfigFile(filePath);
+  logger.info('Loaded business hours', { path: filePath, timezone: config.timezone || 'UTC' });
+  return createBusinessCalendar(config);
+}
+
+module.exports = {
+  WEEKDAYS,
+  createBusinessCalendar,
+  loadBusinessCalendar
+};
@@ -0,0 +1,97 @@
+const { logger } = require('./logger');
+const { readConfigFile } = require('./configFile');
+const { CITATION_MODES } = require('./formatters');
+
+// How replies are rendered per channel:
+//   formatter  - name in the formatter registry
+//   citations  - strip | keep | links (inline) | footer ([n] + "Sources:" list)
+//   split      - split long replies into several messages
+//   rich       - channel supports quick replies/buttons/lists
+const DEFAULT_CHANNELS = {
+  whatsapp: { formatter: 'whatsapp', citations: 'footer', split: true, rich: true },
+  sms: { formatter: 'plain', citations: 'footer', split: true, rich: false },
+  web: { formatter: 'markdown', citations: 'links', split: false, rich: true },
+  instagram: { formatter: 'plain', citations: 'footer', split: true, rich: true },
+  messenger: { formatter: 'plain', citations: 'footer', split: true, rich: true },
+  email: { formatter: 'html', citations: 'links', split: false, rich: false }
+};
+
+// Source names seen in Freshchat payloads -> channel
+const SOURCE_ALIASES = {
+  whatsapp: 'whatsapp',
+  sms: 'sms',
+  web: 'web',
+  webchat: 'web',
+  mobile: 'web',
+  ios: 'web',
+  android: 'web',
+  instagram: 'instagram',
+  facebook: 'messenger',
+  messenger: 'messenger',
+  fb: 'messenger',
+  email: 'email'
+};
+
+function validateConfig(config, formatterNames) {
+  const channels = { ...DEFAULT_CHANNELS };
+  Object.entries(config.channels || {}).forEach(([name, settings]) => {
+    channels[name] = { ...(DEFAULT_CHANNELS[name] || DEFAULT_CHANNELS.whatsapp), ...settings };
+  });
+
+  Object.entries(channels).forEach(([name, settings]) => {
+    if (!formatterNames.includes(settings.formatter)) {
+      throw new Error(`Channel "${name}": unknown formatter "${settings.formatter}"`);
+    }
+    if (!CITATION_MODES.includes(settings.citations)) {
+      throw new Error(`Channel "${name}": citations must be one of ${CITATION_MODES.join(', ')}`);
+    }
+  });
+
+  const defaultChannel = config.default || 'whatsapp';
+  if (!channels[defaultChannel]) {
+    throw new Error(`Default channel "${defaultChannel}" is not defined`);
+  }
+
+  return {
+    defaultChannel,
+    channelIds: config.channel_ids || {},
+    channels
+  };
+}
+
+// Loads channel settings; without a file every conversation is treated as
+// WhatsApp unless the payload says otherwise
+function loadChannelConfig(filePath, formatterNames) {
+  if (!filePath) {
+    return validateConfig({}, formatterNames);
+  }
+
+  const config = validateConfig(readConfigFile(filePath), formatterNames);
+  logger.info('Loaded channel config', {
+    path: filePath,
+    default: config.defaultChannel,
+    channel_ids: Object.keys(config.channelIds).length
+  });
+  return config;
+}
+
+// Channel of a conversation from a webhook message or conversation payload:
+// an explicit source field wins, then the Freshchat channel id mapping
+function detectChannel(payload = {}, config) {
+  const source = [payload.message_source, payload.source, payload.channel_type, payload.channel]
+    .find(value => typeof value === 'string');
+  const alias = source && SOURCE_ALIASES[source.toLowerCase()];
+
+  if (alias && config.channels[alias]) return alias;
+  if (source && config.channels[source.toLowerCase()]) return source.toLowerCase();
+
+  const mapped = payload.channel_id && config.channelIds[payload.channel_id];
+  return mapped && config.channels[mapped] ? mapped : null;
+}
+
+module.exports = {
+  DEFAULT_CHANNELS,
+  SOURCE_ALIASES,
+  loadChannelConfig,
+  detectChannel
+};
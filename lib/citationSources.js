@@ -0,0 +1,149 @@
+const { logger } = require('./logger');
+const { readConfigFile } = require('./configFile');
+
+const CITATION_NAMESPACE = 'citations';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Mapping of OpenAI file ids / filenames to a customer-facing title and URL:
+//   { files: { "file-abc": { title, url } }, filenames: { "refunds.pdf": { title, url } } }
+function loadSourceMapping(filePath) {
+  if (!filePath) {
+    return { files: {}, filenames: {} };
+  }
+
+  const mapping = readConfigFile(filePath);
+  logger.info('Loaded citation source mapping', {
+    path: filePath,
+    files: Object.keys(mapping.files || {}).length,
+    filenames: Object.keys(mapping.filenames || {}).length
+  });
+  return { files: mapping.files || {}, filenames: mapping.filenames || {} };
+}
+
+// Turns Assistants API annotations (file_citation / file_path) into numbered
+// sources: [{ number, marker, markers, type, fileId, filename, title, url }].
+// Several markers citing the same file share one source. A file with neither
+// a mapping nor a filename we could look up is left out (its markers are
+// stripped): customers should never see a raw OpenAI file id.
+function createSourceResolver({ openai, mapping = { files: {}, filenames: {} } }) {
+  const filenames = new Map();
+
+  async function filenameFor(fileId) {
+    if (!filenames.has(fileId)) {
+      try {
+        const file = await openai.files.retrieve(fileId);
+        filenames.set(fileId, file.filename);
+      } catch (error) {
+        logger.warn('Could not look up cited file', { file_id: fileId, error });
+        return null;
+      }
+    }
+    return filenames.get(fileId);
+  }
+
+  async function resolve(annotations = []) {
+    const sources = [];
+    const byFile = new Map();
+    const unresolved = new Set();
+
+    for (const annotation of annotations) {
+      const fileId = annotation.file_citation?.file_id || annotation.file_path?.file_id;
+      if (!fileId || !annotation.text || unresolved.has(fileId)) continue;
+
+      if (byFile.has(fileId)) {
+        const source = byFile.get(fileId);
+        if (!source.markers.includes(annotation.text)) source.markers.push(annotation.text);
+        continue;
+      }
+
+      const filename = await filenameFor(fileId);
+      const mapped = mapping.files[fileId] || (filename && mapping.filenames[filename]) || {};
+      if (!mapped.title && !mapped.url && !filename) {
+        logger.warn('Citation left out: source could not be resolved', { file_id: fileId });
+        unresolved.add(fileId);
+        continue;
+      }
+
+      const source = {
+        number: sources.length + 1,
+        marker: annotation.text,
+        markers: [annotation.text],
+        type: annotation.type,
+        fileId,
+        filename,
+        title: mapped.title || filename || null,
+        url: mapped.url || null
+      };
+
+      byFile.set(fileId, source);
+      sources.push(source);
+    }
+
+    return sources;
+  }
+
+  return { resolve };
+}
+
+// Raw citations per conversation, kept for audit: one append-only list per
+// conversation, purged after `retentionDays` like the transcripts
+function createCitationLog({ store, retentionDays = 90 }) {
+  async function record(conversationId, { threadId, messageId, annotations, sources }) {
+    await store.append(CITATION_NAMESPACE, conversationId, {
+      at: new Date().toISOString(),
+      thread_id: threadId,
+      message_id: messageId,
+      annotations,
+      sources: sources.map(({ number, fileId, filename, title, url }) => ({
+        number,
+        file_id: fileId,
+        filename,
+        title,
+        url
+      }))
+    });
+  }
+
+  // Turns recorded before the lists were kept as one entry per conversation
+  async function list(conversationId) {
+    const saved = (await store.get(CITATION_NAMESPACE, conversationId)) || [];
+    return [...saved, ...(await store.range(CITATION_NAMESPACE, conversationId))];
+  }
+
+  // Drop turns older than the retention period (the oldest are at the start)
+  async function purge(now = new Date()) {
+    if (!retentionDays) return 0;
+
+    const cutoff = now.getTime() - retentionDays * DAY_MS;
+    let removed = 0;
+
+    for (const conversationId of await store.listKeys(CITATION_NAMESPACE)) {
+      const turns = await store.range(CITATION_NAMESPACE, conversationId);
+      const kept = turns.findIndex(turn => Date.parse(turn.at) >= cutoff);
+      const count = kept === -1 ? turns.length : kept;
+      if (!count) continue;
+
+      await store.trimStart(CITATION_NAMESPACE, conversationId, count);
+      removed += count;
+    }
+
+    for (const entry of await store.list(CITATION_NAMESPACE)) {
+      if (Date.parse(entry.updatedAt) >= cutoff) continue;
+      await store.delete(CITATION_NAMESPACE, entry.key);
+      removed += entry.value.length;
+    }
+
+    if (removed) {
+      logger.info('Purged old citation records', { turns: removed, retention_days: retentionDays });
+    }
+    return removed;
+  }
+
+  return { record, list, purge };
+}
+
+module.exports = {
+  loadSourceMapping,
+  createSourceResolver,
+  createCitationLog
+};
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+// Config files are JSON or YAML, chosen by extension
+function readConfigFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  return /\.ya?ml$/i.test(filePath) ? yaml.load(raw) : JSON.parse(raw);
+}
+
+// A rule matches when every field in its `match` lists (or equals) the
+// context's value for that field
+function ruleMatches(rule, context) {
+  return Object.entries(rule.match || {}).every(([field, allowed]) => {
+    const values = Array.isArray(allowed) ? allowed : [allowed];
+    return context[field] != null && values.includes(context[field]);
+  });
+}
+
+module.exports = {
+  readConfigFile,
+  ruleMatches
+};
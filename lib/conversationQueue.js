@@ -0,0 +1,96 @@
+const { logger } = require('./logger');
+
+// Serializes work per conversation: messages for the same conversation are
+// handled strictly in order, one assistant turn at a time. With a debounce
+// window, bursts of messages are merged and handed to the handler together.
+function createConversationQueue({ handler, debounceMs = 0 }) {
+  const queues = new Map();
+  const waitStats = { processed: 0, totalWaitMs: 0, maxWaitMs: 0, lastWaitMs: 0 };
+
+  function getQueue(conversationId) {
+    if (!queues.has(conversationId)) {
+      queues.set(conversationId, { pending: [], running: false, timer: null });
+    }
+    return queues.get(conversationId);
+  }
+
+  function recordWait(items) {
+    const now = Date.now();
+    items.forEach(item => {
+      const waitMs = now - item.enqueuedAt;
+      waitStats.processed++;
+      waitStats.totalWaitMs += waitMs;
+      waitStats.lastWaitMs = waitMs;
+      waitStats.maxWaitMs = Math.max(waitStats.maxWaitMs, waitMs);
+    });
+  }
+
+  async function drain(conversationId) {
+    const queue = queues.get(conversationId);
+    if (!queue || queue.running) return;
+
+    queue.running = true;
+
+    // A pending debounce timer means more messages may still be on the way
+    while (queue.pending.length > 0 && !queue.timer) {
+      const batch = debounceMs > 0 ? queue.pending.splice(0) : queue.pending.splice(0, 1);
+      recordWait(batch);
+
+      if (batch.length > 1) {
+        logger.info('Merged queued messages', { conversation_id: conversationId, count: batch.length });
+      }
+
+      try {
+        await handler(conversationId, batch.map(item => item.message));
+      } catch (error) {
+        logger.error('Queue handler failed', { conversation_id: conversationId, error });
+      }
+    }
+
+    queue.running = false;
+
+    if (queue.pending.length === 0 && !queue.timer) {
+      queues.delete(conversationId);
+    }
+  }
+
+  function enqueue(conversationId, message) {
+    const queue = getQueue(conversationId);
+    queue.pending.push({ message, enqueuedAt: Date.now() });
+
+    if (debounceMs > 0) {
+      clearTimeout(queue.timer);
+      queue.timer = setTimeout(() => {
+        queue.timer = null;
+        drain(conversationId);
+      }, debounceMs);
+      return;
+    }
+
+    drain(conversationId);
+  }
+
+  function stats() {
+    let depth = 0;
+    let processing = 0;
+    queues.forEach(queue => {
+      depth += queue.pending.length;
+      if (queue.running) processing++;
+    });
+
+    return {
+      conversations: queues.size,
+      depth,
+      processing,
+      debounce_ms: debounceMs,
+      processed: waitStats.processed,
+      avg_wait_ms: waitStats.processed ? Math.round(waitStats.totalWaitMs / waitStats.processed) : 0,
+      max_wait_ms: waitStats.maxWaitMs,
+      last_wait_ms: waitStats.lastWaitMs
+    };
+  }
+
+  return { enqueue, stats };
+}
+
+module.exports = { createConversationQueue };
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const STATE_NAMESPACE = 'csat_state';
+const SURVEY_NAMESPACE = 'csat_surveys';
+const SCORES = [1, 2, 3, 4, 5];
+const TRIGGERS = ['idle', 'return_to_bot'];
+
+const DEFAULT_PROMPT = 'How would you rate the help you got today? Reply with a number from 1 (poor) to 5 (excellent).';
+const DEFAULT_THANKS = 'Thank you for your feedback! 🙏';
+
+// Quick replies offered with the prompt; parseRating reads them back. In
+// score order so the numbered text fallback ("1. 1 - Very poor") agrees.
+const RATING_OPTIONS = ['1 - Very poor', '2 - Poor', '3 - Okay', '4 - Good', '5 - Excellent'];
+
+const ARABIC_DIGITS = /[\u0660-\u0669]/g;
+
+// "4", "4/5", "4 stars", "4 - Good" (a tapped quick reply) or "⭐⭐⭐⭐" -> 4;
+// anything else (e.g. "1 more question") -> null
+function parseRating(text) {
+  const value = String(text || '')
+    .replace(ARABIC_DIGITS, digit => String(digit.charCodeAt(0) - 0x0660))
+    .trim();
+
+  const stars = value.match(/^[⭐★]{1,5}$/u);
+  if (stars) return [...value].length;
+
+  const number = value.match(/^([1-5])(?:\s*\/\s*5|\s*stars?|\s*-\s*[\p{L} ]+)?[.!]?$/iu);
+  return number ? Number(number[1]) : null;
+}
+
+// Customer satisfaction surveys. Tracks when the bot last answered each
+// conversation, decides when a survey is due (idle, or on return to bot),
+// and keeps every survey with its outcome for reporting.
+// Surveys: { id, conversation_id, thread_id, channel, trigger, status,
+//            asked_at, answered_at, score, escalations }
+// status: pending -> answered | skipped (next message was not a rating) |
+//         expired | failed (the prompt could not be sent) |
+//         cancelled (the conversation was reset; not counted as unanswered)
+function createCsatSurvey({ store, idleMs = 30 * 60 * 1000, responseWindowMs = 60 * 60 * 1000, cooldownMs = 24 * 60 * 60 * 1000 }) {
+  async function getState(conversationId) {
+    return (await store.get(STATE_NAMESPACE, conversationId)) || {};
+  }
+
+  async function updateState(conversationId, fields) {
+    const state = await getState(conversationId);
+    await store.set(STATE_NAMESPACE, conversationId, { ...state, ...fields });
+  }
+
+  async function closeSurvey(conversationId, surveyId, fields) {
+    const survey = await store.get(SURVEY_NAMESPACE, surveyId);
+    if (survey) {
+      await store.set(SURVEY_NAMESPACE, surveyId, { ...survey, ...fields });
+    }
+    await updateState(conversationId, { pending_survey_id: null });
+    return survey ? { ...survey, ...fields } : null;
+  }
+
+  // The bot answered: the conversation is active again
+  async function touch(conversationId, threadId = null) {
+    await updateState(conversationId, {
+      last_activity_at: new Date().toISOString(),
+      ...(threadId && { thread_id: threadId })
+    });
+  }
+
+  // Conversations idle for idleMs since the bot's last answer that have not
+  // been surveyed since, and not within cooldownMs
+  async function dueForIdleSurvey(now = new Date()) {
+    const due = [];
+    for (const { key, value: state } of await store.list(STATE_NAMESPACE)) {
+      if (!state.last_activity_at || state.pending_survey_id) continue;
+
+      const lastActivity = Date.parse(state.last_activity_at);
+      const surveyedAt = state.surveyed_at ? Date.parse(state.surveyed_at) : 0;
+      if (now.getTime() - lastActivity < idleMs) continue;
+      if (surveyedAt >= lastActivity) continue;
+      if (now.getTime() - surveyedAt < cooldownMs) continue;
+
+      due.push(key);
+    }
+    return due;
+  }
+
+  // Whether a return-to-bot survey may be sent now (nothing pending, cooldown over)
+  async function canSurvey(conversationId, now = new Date()) {
+    const state = await getState(conversationId);
+    if (state.pending_survey_id) return false;
+    return !state.surveyed_at || now.getTime() - Date.parse(state.surveyed_at) >= cooldownMs;
+  }
+
+  async function start(conversationId, { trigger, threadId = null, channel = null }) {
+    const state = await getState(conversationId);
+    const survey = {
+      id: crypto.randomUUID(),
+      conversation_id: conversationId,
+      thread_id: threadId || state.thread_id || null,
+      channel,
+      trigger,
+      status: 'pending',
+      asked_at: new Date().toISOString(),
+      answered_at: null,
+      score: null,
+      escalations: []
+    };
+
+    await store.set(SURVEY_NAMESPACE, survey.id, survey);
+    await updateState(conversationId, { pending_survey_id: survey.id, surveyed_at: survey.asked_at });
+    logger.info('CSAT survey sent', { conversation_id: conversationId, trigger, survey_id: survey.id });
+    return survey;
+  }
+
+  // The survey waiting for this conversation's next message, if still open
+  async function pending(conversationId, now = new Date()) {
+    const { pending_survey_id: surveyId } = await getState(conversationId);
+    if (!surveyId) return null;
+
+    const survey = await store.get(SURVEY_NAMESPACE, surveyId);
+    if (survey && now.getTime() - Date.parse(survey.asked_at) < responseWindowMs) {
+      return survey;
+    }
+    await closeSurvey(conversationId, surveyId, { status: 'expired' });
+    return null;
+  }
+
+  // `escalations`: the conversation's escalation/return-to-bot history
+  async function answer(conversationId, score, { escalations = [] } = {}) {
+    const { pending_survey_id: surveyId } = await getState(conversationId);
+    if (!surveyId) return null;
+
+    const survey = await closeSurvey(conversationId, surveyId, {
+      status: 'answered',
+      score,
+      answered_at: new Date().toISOString(),
+      escalations
+    });
+    logger.info('CSAT rating received', { conversation_id: conversationId, score, survey_id: surveyId });
+    return survey;
+  }
+
+  async function dismiss(conversationId, status = 'skipped') {
+    const { pending_survey_id: surveyId } = await getState(conversationId);
+    return surveyId ? closeSurvey(conversationId, surveyId, { status }) : null;
+  }
+
+  // Close surveys nobody answered within responseWindowMs
+  async function expireStale(now = new Date()) {
+    let expired = 0;
+    for (const { key, value: state } of await store.list(STATE_NAMESPACE)) {
+      if (state.pending_survey_id && !(await pending(key, now))) expired++;
+    }
+    return expired;
+  }
+
+  // A survey still waiting for an answer is closed first, so it does not
+  // stay pending in the reports
+  async function forget(conversationId) {
+    await dismiss(conversationId, 'cancelled');
+    await store.delete(STATE_NAMESPACE, conversationId);
+  }
+
+  // Surveys asked between `from` and `to`, optionally for one channel or conversation
+  async function list({ from = null, to = null, channel = null, conversationId = null } = {}) {
+    return (await store.list(SURVEY_NAMESPACE))
+      .map(entry => entry.value)
+      .filter(survey => {
+        const askedAt = Date.parse(survey.asked_at);
+        return (!from || askedAt >= from.getTime()) &&
+          (!to || askedAt <= to.getTime()) &&
+          (!channel || survey.channel === channel) &&
+          (!conversationId || survey.conversation_id === conversationId);
+      })
+      .sort((a, b) => Date.parse(a.asked_at) - Date.parse(b.asked_at));
+  }
+
+  return {
+    touch,
+    dueForIdleSurvey,
+    canSurvey,
+    start,
+    pending,
+    answer,
+    dismiss,
+    expireStale,
+    forget,
+    list
+  };
+}
+
+function summarize(surveys) {
+  const answered = surveys.filter(survey => survey.status === 'answered');
+  const asked = surveys.filter(survey => survey.status !== 'cancelled');
+  const distribution = Object.fromEntries(SCORES.map(score => [score, 0]));
+  answered.forEach(survey => distribution[survey.score]++);
+
+  const total = answered.reduce((sum, survey) => sum + survey.score, 0);
+  return {
+    surveys: surveys.length,
+    answered: answered.length,
+    response_rate: asked.length ? Number((answered.length / asked.length).toFixed(3)) : null,
+    average: answered.length ? Number((total / answered.length).toFixed(2)) : null,
+    // Share of 4s and 5s, the usual CSAT score
+    csat: answered.length
+      ? Number((answered.filter(survey => survey.score >= 4).length / answered.length).toFixed(3))
+      : null,
+    distribution
+  };
+}
+
+function groupBy(surveys, keyOf) {
+  const groups = {};
+  surveys.forEach(survey => {
+    const key = keyOf(survey);
+    (groups[key] = groups[key] || []).push(survey);
+  });
+  return Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, summarize(group)]));
+}
+
+// Aggregates for the reporting endpoint: overall, by trigger, by channel and
+// by whether a human was involved in the conversation
+function buildReport(surveys) {
+  return {
+    ...summarize(surveys),
+    by_trigger: groupBy(surveys, survey => survey.trigger),
+    by_channel: groupBy(surveys, survey => survey.channel || 'unknown'),
+    by_escalation: groupBy(surveys.filter(survey => survey.status === 'answered'),
+      survey => (survey.escalations.some(event => event.type === 'escalation') ? 'escalated' : 'bot_only'))
+  };
+}
+
+module.exports = {
+  TRIGGERS,
+  DEFAULT_PROMPT,
+  DEFAULT_THANKS,
+  RATING_OPTIONS,
+  parseRating,
+  createCsatSurvey,
+  buildReport
+};
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Identify a webhook event: message id when Freshchat provides one,
+// otherwise a hash of the (raw) payload
+function getEventKey(body, rawBody) {
+  const messageId = body?.data?.message?.id;
+  if (body?.action === 'message_create' && messageId) {
+    return `message:${messageId}`;
+  }
+
+  const payload = rawBody || JSON.stringify(body || {});
+  const hash = crypto.createHash('sha256').update(payload).digest('hex');
+  return `${body?.action || 'unknown'}:${hash}`;
+}
+
+// Bounded TTL cache of seen event keys (Map keeps insertion order, so the
+// first entries are always the oldest). With a shared `store` (Redis) the key
+// is also claimed there, so a retry delivered to another replica is caught.
+function createDedupeCache({ ttlMs = 10 * 60 * 1000, maxEntries = 10000, store = null } = {}) {
+  const seen = new Map();
+  const duplicatesByAction = {};
+  let duplicates = 0;
+
+  function prune(now) {
+    for (const [key, expiresAt] of seen) {
+      if (expiresAt > now && seen.size <= maxEntries) break;
+      seen.delete(key);
+    }
+  }
+
+  function recordDuplicate(action) {
+    duplicates++;
+    duplicatesByAction[action] = (duplicatesByAction[action] || 0) + 1;
+    return true;
+  }
+
+  return {
+    // Records the key and reports whether it was already seen within the TTL
+    async isDuplicate(key, action = 'unknown') {
+      const now = Date.now();
+      prune(now);
+
+      if (seen.has(key)) {
+        return recordDuplicate(action);
+      }
+
+      seen.set(key, now + ttlMs);
+      prune(now);
+
+      if (store) {
+        try {
+          if (!(await store.claim('webhook_events', key, ttlMs))) return recordDuplicate(action);
+        } catch (error) {
+          // Better to risk a duplicate than to drop the event
+          logger.warn('Shared dedupe check failed', { event_key: key, error });
+        }
+      }
+      return false;
+    },
+
+    stats() {
+      return {
+        tracked: seen.size,
+        duplicates,
+        duplicates_by_action: { ...duplicatesByAction }
+      };
+    }
+  };
+}
+
+module.exports = { getEventKey, createDedupeCache };
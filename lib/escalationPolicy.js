@@ -0,0 +1,151 @@
+const path = require('path');
+const { logger } = require('./logger');
+const { readConfigFile } = require('./configFile');
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, '..', 'config', 'escalation-policy.json');
+
+// Turns a phrase or regex pattern from the config into a test function
+function compileMatcher(type, pattern, flags = 'i') {
+  if (type === 'regex') {
+    const regex = new RegExp(pattern, flags);
+    return text => regex.test(text);
+  }
+
+  const phrase = pattern.toLowerCase();
+  return text => text.toLowerCase().includes(phrase);
+}
+
+function compileRule(rule, index) {
+  const id = rule.id || `rule-${index + 1}`;
+  const type = rule.type || 'phrase';
+
+  if (!['assistant', 'user'].includes(rule.source)) {
+    throw new Error(`Escalation rule "${id}": source must be "assistant" or "user"`);
+  }
+  if (!['phrase', 'regex'].includes(type)) {
+    throw new Error(`Escalation rule "${id}": type must be "phrase" or "regex"`);
+  }
+  if (!Array.isArray(rule.patterns) || rule.patterns.length === 0) {
+    throw new Error(`Escalation rule "${id}": patterns must be a non-empty list`);
+  }
+
+  return {
+    id,
+    source: rule.source,
+    reason: rule.reason || id,
+    matchers: rule.patterns.map(pattern => compileMatcher(type, pattern, rule.flags)),
+    // Negation: the rule does not fire when any of these also match
+    exceptions: (rule.unless || []).map(pattern => compileMatcher(type, pattern, rule.flags))
+  };
+}
+
+function compilePolicy(config = {}) {
+  const maxTurns = config.maxTurnsWithoutResolution;
+  const failures = config.repeatedFailures;
+
+  return {
+    rules: (config.rules || []).map(compileRule),
+    maxTurns: maxTurns?.turns ? {
+      turns: maxTurns.turns,
+      reason: maxTurns.reason || 'max_turns_without_resolution',
+      resolutionMatchers: (maxTurns.resolutionPatterns || []).map(pattern => compileMatcher('phrase', pattern))
+    } : null,
+    repeatedFailures: failures?.count ? {
+      count: failures.count,
+      reason: failures.reason || 'repeated_failures'
+    } : null
+  };
+}
+
+// Loads a JSON or YAML policy file (chosen by extension)
+function loadPolicyFile(filePath = DEFAULT_POLICY_FILE) {
+  const config = readConfigFile(filePath);
+  logger.info('Loaded escalation policy', { path: filePath, rules: config.rules?.length || 0 });
+  return compilePolicy(config);
+}
+
+// Evaluates the policy for a conversation; per-conversation counters
+// (turns without resolution, consecutive failures) live in the state store
+function createEscalationPolicy({ policy, store }) {
+  const getCounters = async conversationId =>
+    (await store.get('policy_counters', conversationId)) || { turns: 0, failures: 0 };
+
+  const saveCounters = (conversationId, counters) =>
+    store.set('policy_counters', conversationId, counters);
+
+  function matchRules(source, text) {
+    if (!text) return null;
+
+    const rule = policy.rules.find(candidate =>
+      candidate.source === source &&
+      candidate.matchers.some(match => match(text)) &&
+      !candidate.exceptions.some(match => match(text))
+    );
+
+    return rule ? { ruleId: rule.id, reason: rule.reason } : null;
+  }
+
+  async function checkUserMessage(conversationId, text) {
+    const decision = matchRules('user', text);
+    const counters = await getCounters(conversationId);
+
+    // A resolution phrase from the customer resets the turn counter
+    if (policy.maxTurns?.resolutionMatchers.some(match => match(text || ''))) {
+      counters.turns = 0;
+      await saveCounters(conversationId, counters);
+    }
+
+    return decision;
+  }
+
+  async function checkAssistantReply(conversationId, text) {
+    const counters = await getCounters(conversationId);
+    counters.turns++;
+    counters.failures = 0;
+    await saveCounters(conversationId, counters);
+
+    const decision = matchRules('assistant', text);
+    if (decision) return decision;
+
+    if (policy.maxTurns && counters.turns >= policy.maxTurns.turns) {
+      return { ruleId: 'max-turns-without-resolution', reason: policy.maxTurns.reason };
+    }
+
+    return null;
+  }
+
+  async function recordFailure(conversationId) {
+    // Without a repeated-failure rule every failure hands over to a human
+    if (!policy.repeatedFailures) {
+      return { ruleId: 'processing-error', reason: 'processing_error' };
+    }
+
+    const counters = await getCounters(conversationId);
+    counters.failures++;
+    await saveCounters(conversationId, counters);
+
+    if (counters.failures >= policy.repeatedFailures.count) {
+      return { ruleId: 'repeated-failures', reason: policy.repeatedFailures.reason };
+    }
+
+    return null;
+  }
+
+  async function reset(conversationId) {
+    await store.delete('policy_counters', conversationId);
+  }
+
+  return {
+    checkUserMessage,
+    checkAssistantReply,
+    recordFailure,
+    reset
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY_FILE,
+  compilePolicy,
+  loadPolicyFile,
+  createEscalationPolicy
+};
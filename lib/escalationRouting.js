@@ -0,0 +1,124 @@
+const { logger } = require('./logger');
+const { readConfigFile, ruleMatches } = require('./configFile');
+
+const STRATEGIES = ['round_robin', 'least_loaded'];
+
+function validateConfig(config) {
+  const pools = config.pools || {};
+
+  Object.entries(pools).forEach(([name, pool]) => {
+    if (!pool.group && !(pool.agents || []).length) {
+      throw new Error(`Routing pool "${name}" needs a group or a list of agents`);
+    }
+    if (pool.strategy && !STRATEGIES.includes(pool.strategy)) {
+      throw new Error(`Routing pool "${name}": strategy must be one of ${STRATEGIES.join(', ')}`);
+    }
+  });
+
+  const referenced = [
+    ...(config.default || []),
+    ...(config.rules || []).flatMap(rule => rule.pools || [])
+  ];
+  referenced.forEach(name => {
+    if (!pools[name]) {
+      throw new Error(`Routing config references unknown pool "${name}"`);
+    }
+  });
+
+  return {
+    pools,
+    rules: config.rules || [],
+    defaultPools: config.default || Object.keys(pools)
+  };
+}
+
+// Loads the routing config; without a file every escalation goes to the
+// fallback agent (HUMAN_AGENT_ID), as before
+function loadRoutingConfig(filePath) {
+  if (!filePath) {
+    return validateConfig({});
+  }
+
+  const config = validateConfig(readConfigFile(filePath));
+  logger.info('Loaded escalation routing', {
+    path: filePath,
+    pools: Object.keys(config.pools).length,
+    rules: config.rules.length
+  });
+  return config;
+}
+
+function createEscalationRouter({ config, store, fallbackAgentId = null }) {
+  // Open escalations per agent, from the assignments recorded on each escalation
+  async function agentLoads() {
+    const loads = {};
+    const escalations = await store.list('escalations');
+    escalations.forEach(entry => {
+      const agentId = entry.value?.assigned_agent_id;
+      if (agentId) loads[agentId] = (loads[agentId] || 0) + 1;
+    });
+    return loads;
+  }
+
+  async function orderAgents(poolName, pool, rotate) {
+    const agents = pool.agents || [];
+
+    if (pool.strategy === 'least_loaded') {
+      const loads = await agentLoads();
+      return [...agents].sort((a, b) => (loads[a] || 0) - (loads[b] || 0));
+    }
+
+    // round_robin (default): rotate the list from a shared cursor
+    const cursor = (await store.get('routing_cursors', poolName)) || 0;
+    if (rotate) {
+      await store.set('routing_cursors', poolName, (cursor + 1) % agents.length);
+    }
+    const start = cursor % agents.length;
+    return [...agents.slice(start), ...agents.slice(0, start)];
+  }
+
+  async function poolTargets(poolName, rotate) {
+    const pool = config.pools[poolName];
+
+    if (!(pool.agents || []).length) {
+      return [{ pool: poolName, groupId: pool.group }];
+    }
+
+    const agents = await orderAgents(poolName, pool, rotate);
+    return agents.map(agentId => ({ pool: poolName, agentId, groupId: pool.group || null }));
+  }
+
+  // Ordered assignment targets to try: matching rule pools (or the default
+  // pools), then the fallback agent. `rotate: false` looks without moving the
+  // round-robin cursors (nothing will be assigned yet).
+  async function candidates(context = {}, { rotate = true } = {}) {
+    const rule = config.rules.find(candidate => ruleMatches(candidate, context));
+    const poolNames = rule ? rule.pools : config.defaultPools;
+
+    if (rule) {
+      logger.info('Escalation routing rule matched', { rule: rule.id || null, pools: poolNames });
+    }
+
+    const targets = [];
+    for (const poolName of poolNames) {
+      targets.push(...await poolTargets(poolName, rotate));
+    }
+
+    if (fallbackAgentId && !targets.some(target => target.agentId === fallbackAgentId && !target.groupId)) {
+      targets.push({ pool: 'fallback', agentId: fallbackAgentId, groupId: null });
+    }
+
+    return targets;
+  }
+
+  return {
+    candidates,
+    isConfigured: () => Object.keys(config.pools).length > 0 || !!fallbackAgentId
+  };
+}
+
+module.exports = {
+  STRATEGIES,
+  loadRoutingConfig,
+  createEscalationRouter
+};
@@ -0,0 +1,254 @@
+// Reply formatters per output style, plus citation handling. The assistant
+// writes markdown; each channel gets it in the form it can render.
+
+const CITATION_MODES = ['strip', 'keep', 'links', 'footer'];
+
+// Inline citation markers the assistant may produce
+const CITATION_PATTERN = /\[\^\d+\^\]|\[\d+\]|【\d+(?::\d+)?(?:†[^】]*)?】/g;
+
+function stripCitations(text) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  let cleaned = text;
+
+  const inlinePatterns = [
+    /\[\^\d+\^\]/g,                  // OpenAI footnote markers like [^1^]
+    /\[\d+\](?!\()/g,                // Simple numeric citations like [1] (not markdown links)
+    /【\d+(?::\d+)?(?:†[^】]*)?】/g,   // Retrieval style citations (incl. section ids)
+    /\(Source:[^)]+\)/gi             // Parenthetical source notes
+  ];
+
+  inlinePatterns.forEach(pattern => {
+    cleaned = cleaned.replace(pattern, '');
+  });
+
+  // Remove footnote sections that may be appended at the end
+  cleaned = cleaned.replace(/^\s*\[\^\d+\^\]:.*$/gm, '');
+  cleaned = cleaned.replace(/^\s*【\d+(?::\d+)?(?:†[^】]*)?】.*$/gm, '');
+
+  // Collapse redundant whitespace introduced by removals
+  cleaned = cleaned.replace(/[ \t]{2,}/g, ' ');
+  // (trailing spaces only, so paragraph breaks survive for chunking and HTML)
+  cleaned = cleaned.replace(/[ \t]+\n/g, '\n').trim();
+
+  return cleaned;
+}
+
+// Replace the citation markers of resolved sources ({ markers, number,
+// title, url }) using `render(source)`; unresolved markers are stripped
+function replaceCitations(text, sources, render) {
+  const rendered = [];
+  const bySource = new Map();
+
+  sources.forEach(source => {
+    (source.markers || [source.marker]).forEach(marker => bySource.set(marker, source));
+  });
+
+  // Placeholders survive stripCitations, then become the rendered citation
+  const marked = text.replace(CITATION_PATTERN, marker => {
+    const source = bySource.get(marker);
+    if (!source) return marker;
+    rendered.push(render(source));
+    return `\u0001${rendered.length - 1}\u0001`;
+  });
+
+  // A run of markers citing the same file only needs one reference
+  return stripCitations(marked).replace(/(?:\u0001\d+\u0001)+/g, run => {
+    const indexes = run.split('\u0001').filter(Boolean);
+    return [...new Set(indexes.map(index => rendered[index]))].join('');
+  });
+}
+
+// Citation markers become inline markdown links
+function linkCitations(text, sources = []) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  return replaceCitations(text, sources.filter(source => source.url), source =>
+    ` [${source.title || source.url}](${source.url})`
+  );
+}
+
+// Citation markers become [n] references, explained in a "Sources:" footer
+function footnoteCitations(text, sources = []) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  const body = replaceCitations(text, sources, source => ` [${source.number}]`);
+  if (!sources.length) return body;
+
+  const footer = sources.map(source => (source.title
+    ? `[${source.number}] ${source.title}${source.url ? `: ${source.url}` : ''}`
+    : `[${source.number}] ${source.url}`));
+  return `${body}\n\nSources:\n${footer.join('\n')}`;
+}
+
+function applyCitations(text, mode = 'strip', sources = []) {
+  if (mode === 'keep') return text;
+  if (mode === 'links') return linkCitations(text, sources);
+  if (mode === 'footer') return footnoteCitations(text, sources);
+  return stripCitations(text);
+}
+
+function tidyLines(text) {
+  return text
+    .replace(/\n{3,}/g, '\n\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trim();
+}
+
+// Plain text (SMS, Instagram, Messenger): all markdown removed
+function formatPlainText(text) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  let formatted = text.trim();
+
+  // Remove markdown emphasis markers
+  formatted = formatted.replace(/\*\*(.*?)\*\*/g, '$1');
+  formatted = formatted.replace(/\*(.*?)\*/g, '$1');
+  formatted = formatted.replace(/__(.*?)__/g, '$1');
+  formatted = formatted.replace(/_(.*?)_/g, '$1');
+  formatted = formatted.replace(/~~(.*?)~~/g, '$1');
+  formatted = formatted.replace(/`([^`]+)`/g, '$1');
+
+  // Links as "text (url)"
+  formatted = formatted.replace(/\[([^\]]+)\]\((\S+?)\)/g, '$1 ($2)');
+
+  // Convert headings to uppercase lines for clearer separation
+  formatted = formatted.replace(/^#+\s*(.*)$/gm, (_, title) => title.toUpperCase());
+
+  // Normalize bullet symbols
+  formatted = formatted.replace(/^[\u2022•▪◦]\s*/gm, '- ');
+
+  return tidyLines(formatted);
+}
+
+// WhatsApp: markdown emphasis converted to WhatsApp's own *bold*, _italic_
+// and ~strikethrough~
+function formatForWhatsApp(text) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  let formatted = text.trim();
+  const BOLD = '\u0000';
+
+  // Bold first (placeholder), so single-asterisk italics can be told apart
+  formatted = formatted.replace(/\*\*(.+?)\*\*/g, `${BOLD}$1${BOLD}`);
+  formatted = formatted.replace(/__(.+?)__/g, `${BOLD}$1${BOLD}`);
+  formatted = formatted.replace(/(^|[^\w*])\*(?!\s)([^*\n]+?)\*(?!\w)/g, '$1_$2_');
+  formatted = formatted.replace(new RegExp(`${BOLD}(.+?)${BOLD}`, 'g'), '*$1*');
+  formatted = formatted.replace(/~~(.+?)~~/g, '~$1~');
+
+  // Links as "text (url)"
+  formatted = formatted.replace(/\[([^\]]+)\]\((\S+?)\)/g, '$1 ($2)');
+
+  // Headings become bold lines
+  formatted = formatted.replace(/^#+\s*(.*)$/gm, (_, title) => `*${title.replace(/\*/g, '')}*`);
+
+  // Normalize bullet symbols
+  formatted = formatted.replace(/^[\u2022•▪◦]\s*/gm, '- ');
+
+  return tidyLines(formatted);
+}
+
+// Web widget: markdown renders as-is
+function formatMarkdown(text) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  return tidyLines(text.replace(/^[\u2022•▪◦]\s*/gm, '- '));
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function inlineHtml(text) {
+  return escapeHtml(text)
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/__(.+?)__/g, '<strong>$1</strong>')
+    .replace(/\*(.+?)\*/g, '<em>$1</em>')
+    .replace(/(^|\W)_(.+?)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(.+?)~~/g, '<del>$1</del>')
+    .replace(/`([^`]+)`/g, '<code>$1</code>');
+}
+
+// Email: simple HTML (paragraphs, headings, lists, emphasis, links)
+function formatHtml(text) {
+  if (!text || typeof text !== 'string') {
+    return text;
+  }
+
+  return formatMarkdown(text)
+    .split(/\n{2,}/)
+    .map(block => {
+      const lines = block.split('\n');
+      const heading = /^(#+)\s*(.*)$/.exec(block);
+
+      if (heading && lines.length === 1) {
+        const level = Math.min(heading[1].length + 2, 6);
+        return `<h${level}>${inlineHtml(heading[2])}</h${level}>`;
+      }
+      if (lines.every(line => /^[-*]\s+/.test(line))) {
+        return `<ul>${lines.map(line => `<li>${inlineHtml(line.replace(/^[-*]\s+/, ''))}</li>`).join('')}</ul>`;
+      }
+      if (lines.every(line => /^\d+[.)]\s+/.test(line))) {
+        return `<ol>${lines.map(line => `<li>${inlineHtml(line.replace(/^\d+[.)]\s+/, ''))}</li>`).join('')}</ol>`;
+      }
+      return `<p>${lines.map(inlineHtml).join('<br>')}</p>`;
+    })
+    .join('\n');
+}
+
+// Named formatters; more can be registered at startup
+function createFormatterRegistry() {
+  const formatters = new Map([
+    ['whatsapp', formatForWhatsApp],
+    ['plain', formatPlainText],
+    ['markdown', formatMarkdown],
+    ['html', formatHtml]
+  ]);
+
+  return {
+    register(name, formatter) {
+      formatters.set(name, formatter);
+    },
+    has: name => formatters.has(name),
+    names: () => Array.from(formatters.keys()),
+    format(name, text) {
+      const formatter = formatters.get(name);
+      if (!formatter) {
+        throw new Error(`Unknown reply formatter "${name}"`);
+      }
+      return formatter(text);
+    }
+  };
+}
+
+module.exports = {
+  CITATION_MODES,
+  stripCitations,
+  linkCitations,
+  footnoteCitations,
+  applyCitations,
+  formatPlainText,
+  formatForWhatsApp,
+  formatMarkdown,
+  formatHtml,
+  createFormatterRegistry
+};
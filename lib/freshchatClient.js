@@ -0,0 +1,177 @@
+const axios = require('axios');
+const { setTimeout: sleep } = require('timers/promises');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+// Network errors that mean the request never reached Freshchat
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// 429 and 5xx responses (and network errors) are worth retrying. POSTs are
+// not idempotent: a timed-out or failed POST may still have been acted on, so
+// they are only retried when Freshchat provably did not take them (connection
+// refused, circuit open, 429 or 503)
+function isRetryable(error, method = 'get') {
+  if (error.code === 'FRESHCHAT_CIRCUIT_OPEN') return true;
+  const status = error.response?.status;
+
+  if (method.toLowerCase() === 'post') {
+    return status ? status === 429 || status === 503 : NOT_SENT_CODES.includes(error.code);
+  }
+  return !status || status === 429 || status >= 500;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Opens after `failureThreshold` consecutive failures; after `resetTimeoutMs`
+// a single trial request is let through (half-open) to probe recovery
+function createCircuitBreaker({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function setState(next) {
+    if (state !== next) {
+      logger.warn('Freshchat circuit breaker state changed', { from: state, to: next });
+      state = next;
+      metrics.freshchatCircuitOpen.set(next === 'open' ? 1 : 0);
+    }
+  }
+
+  return {
+    // Throws when requests are currently short-circuited
+    beforeRequest() {
+      if (state === 'open' && Date.now() - openedAt >= resetTimeoutMs) {
+        setState('half_open');
+      }
+      if (state === 'open' || (state === 'half_open' && trialInFlight)) {
+        const error = new Error('Freshchat circuit breaker is open');
+        error.code = 'FRESHCHAT_CIRCUIT_OPEN';
+        throw error;
+      }
+      if (state === 'half_open') trialInFlight = true;
+    },
+
+    onSuccess() {
+      failures = 0;
+      trialInFlight = false;
+      setState('closed');
+    },
+
+    onFailure() {
+      failures++;
+      trialInFlight = false;
+      if (state === 'half_open' || failures >= failureThreshold) {
+        openedAt = Date.now();
+        setState('open');
+      }
+    },
+
+    status: () => ({ state, consecutive_failures: failures })
+  };
+}
+
+// Shared client for every Freshchat API call: auth headers, timeouts,
+// retries with jittered backoff (honouring Retry-After) and a circuit breaker
+function createFreshchatClient({
+  baseUrl,
+  apiKey,
+  timeoutMs = 10000,
+  maxRetries = 3,
+  retryBaseMs = 500,
+  retryMaxMs = 8000,
+  breaker = createCircuitBreaker()
+}) {
+  const http = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ''),
+    timeout: timeoutMs,
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  function backoffMs(attempt, error) {
+    const requested = retryAfterMs(error);
+    if (requested != null) return Math.min(requested, retryMaxMs);
+
+    // Full jitter: random delay up to the exponential cap
+    const cap = Math.min(retryMaxMs, retryBaseMs * 2 ** attempt);
+    return Math.round(Math.random() * cap);
+  }
+
+  async function request(method, path, { retries = maxRetries, ...options } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      breaker.beforeRequest();
+
+      try {
+        const response = await http.request({ ...options, method, url: path });
+        breaker.onSuccess();
+        return response;
+
+      } catch (error) {
+        // 4xx responses mean Freshchat is up; only count outages against the breaker
+        if (isRetryable(error)) breaker.onFailure();
+        else breaker.onSuccess();
+
+        if (!isRetryable(error, method) || attempt >= retries) {
+          throw error;
+        }
+
+        const delay = backoffMs(attempt, error);
+        metrics.freshchatRetries.inc({ method: method.toUpperCase() });
+        logger.warn('Freshchat request failed, retrying', {
+          method: method.toUpperCase(),
+          path,
+          status: error.response?.status,
+          attempt: attempt + 1,
+          delay_ms: delay
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Fetch an attachment; the API key is only sent to the Freshchat API host.
+  // Media URLs on other hosts (usually pre-signed CDN links) are fetched
+  // directly: a slow CDN must not trip the Freshchat circuit breaker.
+  async function download(url, { maxBytes } = {}) {
+    const sameHost = new URL(url).host === new URL(baseUrl).host;
+    const options = { responseType: 'arraybuffer', maxContentLength: maxBytes };
+    const response = sameHost
+      ? await request('get', url, options)
+      : await axios.get(url, { ...options, timeout: timeoutMs });
+
+    return {
+      buffer: Buffer.from(response.data),
+      contentType: response.headers['content-type'] || null
+    };
+  }
+
+  return {
+    request,
+    download,
+    get: (path, options) => request('get', path, options),
+    put: (path, data, options) => request('put', path, { ...options, data }),
+    post: (path, data, options) => request('post', path, { ...options, data }),
+    breakerStatus: breaker.status,
+    isRetryable
+  };
+}
+
+module.exports = {
+  isRetryable,
+  retryAfterMs,
+  createCircuitBreaker,
+  createFreshchatClient
+};
@@ -0,0 +1,103 @@
+const { logger } = require('./logger');
+
+const SENTIMENTS = ['positive', 'neutral', 'negative', 'frustrated'];
+const MAX_TRANSCRIPT_MESSAGES = 40;
+const MAX_MESSAGE_CHARS = 1000;
+
+const SUMMARY_PROMPT = [
+  'You summarise a customer support chat between a customer and a bot for the human agent taking over.',
+  'Reply with JSON only: {"customer_intent": string, "bot_answered": string[], ',
+  `"sentiment": one of ${SENTIMENTS.map(value => `"${value}"`).join(', ')}, "open_question": string|null}.`,
+  'Keep every field short and factual; bot_answered lists what the customer has already been told.'
+].join(' ');
+
+// Recent thread messages, oldest first, as { role, text }
+async function loadTranscript(provider, threadId) {
+  const messages = await provider.history(threadId, { limit: MAX_TRANSCRIPT_MESSAGES });
+  return messages.map(message => ({ role: message.role, text: message.text.slice(0, MAX_MESSAGE_CHARS) }));
+}
+
+// Used when the model can't be reached: last customer message as the
+// intent and the last bot answer
+function fallbackSummary(transcript) {
+  const lastUser = [...transcript].reverse().find(message => message.role === 'user');
+  const lastBot = [...transcript].reverse().find(message => message.role === 'assistant');
+
+  return {
+    customer_intent: lastUser ? lastUser.text.slice(0, 200) : 'Unknown',
+    bot_answered: lastBot ? [lastBot.text.slice(0, 200)] : [],
+    sentiment: 'neutral',
+    open_question: null
+  };
+}
+
+// Structured summary of the bot conversation for the agent taking over:
+//   { customer_intent, bot_answered[], sentiment, open_question, escalation_reason }
+// `provider` reads the conversation (see assistantProviders)
+function createHandoffSummarizer({ openai, provider, model = 'gpt-4o-mini' }) {
+  async function summarize({ threadId, decision = {} }) {
+    const transcript = threadId ? await loadTranscript(provider, threadId) : [];
+    let summary;
+
+    try {
+      if (!transcript.length) throw new Error('No conversation to summarise');
+
+      const completion = await openai.chat.completions.create({
+        model,
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: SUMMARY_PROMPT },
+          {
+            role: 'user',
+            content: transcript.map(message => `${message.role === 'user' ? 'Customer' : 'Bot'}: ${message.text}`).join('\n')
+          }
+        ]
+      });
+
+      const parsed = JSON.parse(completion.choices[0].message.content);
+      summary = {
+        customer_intent: parsed.customer_intent || 'Unknown',
+        bot_answered: Array.isArray(parsed.bot_answered) ? parsed.bot_answered : [],
+        sentiment: SENTIMENTS.includes(parsed.sentiment) ? parsed.sentiment : 'neutral',
+        open_question: parsed.open_question || null
+      };
+    } catch (error) {
+      logger.warn('Handoff summary fell back to transcript excerpt', { thread_id: threadId, error });
+      summary = fallbackSummary(transcript);
+    }
+
+    return {
+      ...summary,
+      escalation_reason: decision.detail
+        ? `${decision.reason || 'unspecified'} (${decision.detail})`
+        : decision.reason || 'unspecified'
+    };
+  }
+
+  return { summarize };
+}
+
+// Private note text shown to agents in Freshchat
+function formatSummaryNote(summary, decision = {}) {
+  const lines = [
+    'Bot handoff summary',
+    `Reason: ${summary.escalation_reason}${decision.priority ? ` | Priority: ${decision.priority}` : ''}`,
+    `Customer intent: ${summary.customer_intent}`,
+    `Sentiment: ${summary.sentiment}`
+  ];
+
+  if (summary.bot_answered.length) {
+    lines.push('Bot already answered:', ...summary.bot_answered.map(item => `- ${item}`));
+  }
+  if (summary.open_question) {
+    lines.push(`Still open: ${summary.open_question}`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  SENTIMENTS,
+  createHandoffSummarizer,
+  formatSummaryNote
+};
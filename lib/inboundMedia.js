@@ -0,0 +1,172 @@
+const { toFile } = require('openai');
+const { logger } = require('./logger');
+
+// Content types the Assistants API accepts as image_file message content
+const VISION_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const UPLOADS_NAMESPACE = 'media_uploads';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Normalise Freshchat message_parts into
+//   { type: 'text', text } | { type: 'image' | 'audio' | 'file', url, name, contentType }
+function extractParts(messageParts = []) {
+  const parts = [];
+
+  messageParts.forEach(part => {
+    if (part.text?.content) {
+      parts.push({ type: 'text', text: part.text.content });
+    } else if (part.image?.url) {
+      parts.push({ type: 'image', url: part.image.url, name: part.image.name || null, contentType: part.image.content_type || null });
+    } else if (part.audio?.url) {
+      parts.push({ type: 'audio', url: part.audio.url, name: part.audio.name || null, contentType: part.audio.content_type || null });
+    } else if (part.file?.url) {
+      // WhatsApp voice notes arrive as files with an audio content type
+      const isAudio = /^audio\//i.test(part.file.content_type || '');
+      parts.push({ type: isAudio ? 'audio' : 'file', url: part.file.url, name: part.file.name || null, contentType: part.file.content_type || null });
+    } else {
+      logger.warn('Unsupported message part ignored', { part_types: Object.keys(part) });
+    }
+  });
+
+  return parts;
+}
+
+// Text-only view of the parts, for logs, language detection and keyword rules
+function partsToText(parts) {
+  return parts
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+}
+
+function fileNameFor(part, index) {
+  if (part.name) return part.name;
+  const extension = (part.contentType || '').split('/')[1]?.split(';')[0] || 'bin';
+  return `${part.type}-${index + 1}.${extension}`;
+}
+
+// Turns the parts of one user turn into something the Assistant can read:
+// audio is transcribed, images become image_file content and other files
+// are attached for file_search. Attachments that cannot be processed are
+// replaced by a short note so the turn still goes through.
+// Uploaded files are recorded in the state store and deleted from OpenAI by
+// purgeUploads() once older than `retentionDays` (Assistants threads can refer
+// to them until then; the Responses history keeps only the text lines).
+function createMediaProcessor({ freshchat, openai, transcriber, store, maxBytes = 20 * 1024 * 1024, retentionDays = 7 }) {
+  async function upload(buffer, fileName, contentType, purpose) {
+    const file = await openai.files.create({
+      file: await toFile(buffer, fileName, { type: contentType || undefined }),
+      purpose
+    });
+    await store.set(UPLOADS_NAMESPACE, file.id, { uploaded_at: new Date().toISOString(), purpose });
+    return file.id;
+  }
+
+  async function preparePart(part, index, turn) {
+    const { buffer, contentType: downloadedType } = await freshchat.download(part.url, { maxBytes });
+    const contentType = part.contentType || downloadedType;
+    const fileName = fileNameFor({ ...part, contentType }, index);
+
+    if (part.type === 'audio') {
+      const transcript = await transcriber.transcribe({ buffer, fileName, contentType });
+      turn.lines.push(transcript
+        ? `[Voice note] ${transcript}`
+        : '[Customer sent a voice note that could not be transcribed]');
+      return;
+    }
+
+    if (part.type === 'image' && VISION_TYPES.includes((contentType || '').split(';')[0])) {
+      turn.images.push(await upload(buffer, fileName, contentType, 'vision'));
+      turn.lines.push(`[Customer sent an image: ${fileName}]`);
+      return;
+    }
+
+    turn.files.push(await upload(buffer, fileName, contentType, 'assistants'));
+    turn.lines.push(`[Customer sent a file: ${fileName}]`);
+  }
+
+  async function prepare(parts) {
+    const turn = { lines: [], images: [], files: [] };
+
+    for (const [index, part] of parts.entries()) {
+      if (part.type === 'text') {
+        turn.lines.push(part.text);
+        continue;
+      }
+
+      try {
+        await preparePart(part, index, turn);
+      } catch (error) {
+        logger.error('Failed to process attachment', { type: part.type, content_type: part.contentType, error });
+        turn.lines.push(`[Customer sent a ${part.type === 'audio' ? 'voice note' : part.type} that could not be processed]`);
+      }
+    }
+
+    logger.info('Prepared user turn', {
+      parts: parts.length,
+      images: turn.images.length,
+      files: turn.files.length
+    });
+
+    return {
+      text: turn.lines.join('\n'),
+      images: turn.images,
+      files: turn.files
+    };
+  }
+
+  // Delete customer uploads older than the retention period from OpenAI
+  async function purgeUploads(now = new Date()) {
+    if (!retentionDays) return 0;
+
+    const cutoff = now.getTime() - retentionDays * DAY_MS;
+    let deleted = 0;
+
+    for (const { key: fileId, value } of await store.list(UPLOADS_NAMESPACE)) {
+      if (Date.parse(value.uploaded_at) >= cutoff) continue;
+
+      try {
+        await openai.files.del(fileId);
+      } catch (error) {
+        // Already gone is fine; anything else is retried on the next purge
+        if (error.status !== 404) {
+          logger.warn('Could not delete uploaded file', { file_id: fileId, error });
+          continue;
+        }
+      }
+      await store.delete(UPLOADS_NAMESPACE, fileId);
+      deleted++;
+    }
+
+    if (deleted) {
+      logger.info('Purged customer uploads', { files: deleted, retention_days: retentionDays });
+    }
+    return deleted;
+  }
+
+  return { prepare, purgeUploads };
+}
+
+// Thread message body for a prepared turn
+function buildThreadMessage(turn) {
+  const message = { role: 'user', content: turn.text };
+
+  if (turn.images.length) {
+    message.content = [
+      ...(turn.text ? [{ type: 'text', text: turn.text }] : []),
+      ...turn.images.map(fileId => ({ type: 'image_file', image_file: { file_id: fileId } }))
+    ];
+  }
+  if (turn.files.length) {
+    message.attachments = turn.files.map(fileId => ({ file_id: fileId, tools: [{ type: 'file_search' }] }));
+  }
+
+  return message;
+}
+
+module.exports = {
+  VISION_TYPES,
+  extractParts,
+  partsToText,
+  createMediaProcessor,
+  buildThreadMessage
+};
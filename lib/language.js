@@ -0,0 +1,27 @@
+// Lightweight script-based language guess; good enough to route between the
+// languages we support without calling an external service
+const SCRIPT_PATTERNS = [
+  { language: 'ar', pattern: /[\u0600-\u06FF\u0750-\u077F]/g }
+];
+
+function detectLanguage(text, fallback = 'en') {
+  if (!text || typeof text !== 'string') {
+    return fallback;
+  }
+
+  const letters = text.replace(/[\s\d\p{P}\p{S}]/gu, '').length;
+  if (letters === 0) {
+    return fallback;
+  }
+
+  for (const { language, pattern } of SCRIPT_PATTERNS) {
+    const matches = text.match(pattern);
+    if (matches && matches.length / letters >= 0.3) {
+      return language;
+    }
+  }
+
+  return fallback;
+}
+
+module.exports = { detectLanguage };
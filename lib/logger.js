@@ -0,0 +1,133 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  // LOG_LEVEL=silent turns logging off (e.g. in tests)
+  silent: 100
+};
+
+// Fields that carry customer or assistant message text
+const BODY_FIELDS = new Set([
+  'body',
+  'content',
+  'text',
+  'message_content',
+  'messages',
+  'response',
+  'reply'
+]);
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /(?<![\w-])\+?\d[\d\s().-]{7,}\d(?![\w-])/g;
+const MIN_PHONE_DIGITS = 9;
+
+// LOG_REDACT format: "phones,emails,bodies" (or "none")
+function parseRedaction(value) {
+  const options = (value || 'phones,emails,bodies')
+    .split(',')
+    .map(item => item.trim().toLowerCase());
+
+  return {
+    phones: options.includes('phones'),
+    emails: options.includes('emails'),
+    bodies: options.includes('bodies')
+  };
+}
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    name: error.name,
+    status: error.status || error.response?.status,
+    stack: error.stack
+  };
+}
+
+function createLogger({ level = 'info', redact, output = line => process.stdout.write(line + '\n') } = {}) {
+  const minLevel = LEVELS[level] || LEVELS.info;
+  const redaction = parseRedaction(redact);
+  const context = new AsyncLocalStorage();
+
+  function redactString(value) {
+    let result = value;
+    if (redaction.emails) result = result.replace(EMAIL_PATTERN, '[email]');
+    if (redaction.phones) {
+      result = result.replace(PHONE_PATTERN, match =>
+        match.replace(/\D/g, '').length >= MIN_PHONE_DIGITS ? '[phone]' : match
+      );
+    }
+    return result;
+  }
+
+  function redactValue(value, key = null) {
+    if (value instanceof Error) {
+      return redactValue(serializeError(value));
+    }
+
+    if (redaction.bodies && key && BODY_FIELDS.has(key) && value != null) {
+      const length = typeof value === 'string' ? value.length : JSON.stringify(value).length;
+      return `[redacted ${length} chars]`;
+    }
+
+    if (typeof value === 'string') {
+      return redactString(value);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => redactValue(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([k, v]) => [k, redactValue(v, k)])
+      );
+    }
+
+    return value;
+  }
+
+  function write(levelName, message, fields = {}) {
+    if (LEVELS[levelName] < minLevel) return;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level: levelName,
+      message: redactString(message),
+      ...context.getStore(),
+      ...redactValue(fields)
+    };
+
+    try {
+      output(JSON.stringify(entry));
+    } catch (error) {
+      output(JSON.stringify({ timestamp: entry.timestamp, level: 'error', message: 'Unserializable log entry' }));
+    }
+  }
+
+  return {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+
+    // Runs fn with extra fields (correlation_id, conversation_id, ...) attached
+    // to every log line written while it executes, including async work
+    withContext(fields, fn) {
+      return context.run({ ...context.getStore(), ...fields }, fn);
+    },
+
+    getContext() {
+      return context.getStore() || {};
+    }
+  };
+}
+
+const logger = createLogger({
+  level: process.env.LOG_LEVEL,
+  redact: process.env.LOG_REDACT
+});
+
+module.exports = { LEVELS, createLogger, logger };
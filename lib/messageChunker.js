@@ -0,0 +1,68 @@
+// Splits long replies into messages under a length limit, preferring the
+// most natural boundary available: paragraphs, then lines (list items),
+// then sentences, then words. A list that fits in one message is never split.
+
+const LEVELS = [
+  { split: /\n{2,}/, join: '\n\n' },
+  { split: /\n/, join: '\n' },
+  { split: /(?<=[.!?\u061F])\s+/, join: ' ' },
+  { split: /\s+/, join: ' ' }
+];
+
+// Room kept for a "\n(12/12)" marker line
+const MARKER_RESERVE = 8;
+
+function hardSplit(text, limit) {
+  const pieces = [];
+  for (let start = 0; start < text.length; start += limit) {
+    pieces.push(text.slice(start, start + limit));
+  }
+  return pieces;
+}
+
+function pack(text, limit, level = 0) {
+  if (text.length <= limit) return [text];
+  if (level >= LEVELS.length) return hardSplit(text, limit);
+
+  const { split, join } = LEVELS[level];
+  const chunks = [];
+  let current = '';
+
+  const flush = () => {
+    if (current) chunks.push(current);
+    current = '';
+  };
+
+  text.split(split).filter(piece => piece.trim()).forEach(piece => {
+    if (piece.length > limit) {
+      flush();
+      chunks.push(...pack(piece, limit, level + 1));
+    } else if (!current) {
+      current = piece;
+    } else if (current.length + join.length + piece.length <= limit) {
+      current += join + piece;
+    } else {
+      flush();
+      current = piece;
+    }
+  });
+  flush();
+
+  return chunks;
+}
+
+// Returns the message texts to send, in order; "(1/3)" markers are appended
+// when there is more than one and `markers` is on
+function chunkMessage(text, { limit = 1500, markers = true } = {}) {
+  if (!text || text.length <= limit) return [text];
+
+  const chunks = pack(text.trim(), markers ? limit - MARKER_RESERVE : limit)
+    .map(chunk => chunk.trim());
+
+  if (!markers || chunks.length < 2) return chunks;
+  return chunks.map((chunk, index) => `${chunk}\n(${index + 1}/${chunks.length})`);
+}
+
+module.exports = {
+  chunkMessage
+};
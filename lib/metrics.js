@@ -0,0 +1,112 @@
+const client = require('prom-client');
+
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register, prefix: 'freshchat_bot_' });
+
+const webhooksReceived = new client.Counter({
+  name: 'freshchat_bot_webhooks_received_total',
+  help: 'Webhooks received from Freshchat',
+  labelNames: ['action', 'actor_type'],
+  registers: [register]
+});
+
+const assistantRunDuration = new client.Histogram({
+  name: 'freshchat_bot_assistant_run_duration_seconds',
+  help: 'Time from run creation to completion of an OpenAI Assistant run',
+  labelNames: ['status'],
+  buckets: [0.5, 1, 2, 5, 10, 20, 30, 60],
+  registers: [register]
+});
+
+const assistantPollAttempts = new client.Histogram({
+  name: 'freshchat_bot_assistant_run_poll_attempts',
+  help: 'Status polls needed per OpenAI Assistant run',
+  buckets: [0, 1, 2, 5, 10, 20, 40, 60],
+  registers: [register]
+});
+
+const freshchatSends = new client.Counter({
+  name: 'freshchat_bot_freshchat_sends_total',
+  help: 'Messages sent to Freshchat, by result and HTTP status code',
+  labelNames: ['result', 'status_code'],
+  registers: [register]
+});
+
+const freshchatRetries = new client.Counter({
+  name: 'freshchat_bot_freshchat_retries_total',
+  help: 'Freshchat API requests retried after a throttled, failed or timed-out attempt',
+  labelNames: ['method'],
+  registers: [register]
+});
+
+const freshchatCircuitOpen = new client.Gauge({
+  name: 'freshchat_bot_freshchat_circuit_open',
+  help: 'Whether the Freshchat circuit breaker is open (1) or not (0)',
+  registers: [register]
+});
+
+const escalations = new client.Counter({
+  name: 'freshchat_bot_escalations_total',
+  help: 'Escalations to a human agent, by reason',
+  labelNames: ['reason'],
+  registers: [register]
+});
+
+const deferredHandoffs = new client.Counter({
+  name: 'freshchat_bot_deferred_handoffs_total',
+  help: 'Handoffs queued until the team is on shift or an agent is available, by cause',
+  labelNames: ['cause'],
+  registers: [register]
+});
+
+const returnsToBot = new client.Counter({
+  name: 'freshchat_bot_returns_to_bot_total',
+  help: 'Conversations returned from a human agent to the bot, by trigger',
+  labelNames: ['trigger'],
+  registers: [register]
+});
+
+const assistantSwitches = new client.Counter({
+  name: 'freshchat_bot_assistant_switches_total',
+  help: 'Conversations moved to another assistant mid-conversation',
+  labelNames: ['from', 'to'],
+  registers: [register]
+});
+
+const csatSurveys = new client.Counter({
+  name: 'freshchat_bot_csat_surveys_total',
+  help: 'Satisfaction surveys sent, by trigger',
+  labelNames: ['trigger'],
+  registers: [register]
+});
+
+const csatRatings = new client.Counter({
+  name: 'freshchat_bot_csat_ratings_total',
+  help: 'Satisfaction ratings received, by score',
+  labelNames: ['score'],
+  registers: [register]
+});
+
+const processingErrors = new client.Counter({
+  name: 'freshchat_bot_processing_errors_total',
+  help: 'Errors caught while processing a user message',
+  registers: [register]
+});
+
+module.exports = {
+  register,
+  webhooksReceived,
+  assistantRunDuration,
+  assistantPollAttempts,
+  freshchatSends,
+  freshchatRetries,
+  freshchatCircuitOpen,
+  escalations,
+  deferredHandoffs,
+  returnsToBot,
+  assistantSwitches,
+  csatSurveys,
+  csatRatings,
+  processingErrors
+};
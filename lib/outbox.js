@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const NAMESPACE = 'outbox';
+const DEAD_NAMESPACE = 'outbox_dead';
+const CLAIMS_NAMESPACE = 'outbox_claims';
+
+// Durable outbox for outbound messages Freshchat could not accept. Entries
+// live in the state store so they survive restarts, and are re-sent in order
+// per conversation by flush(), which the server runs on an interval. Errors
+// that retrying cannot fix (`isRetryable` false, e.g. a 400) go straight to
+// the dead letters so they don't hold up the conversation. Each entry is
+// claimed before sending, so replicas sharing the store never send it twice.
+// An entry may hold alternatives (a rich message, then its text rendering):
+// when one is rejected outright the next is tried.
+function createOutbox({
+  store,
+  send,
+  isRetryable = () => true,
+  maxAttempts = 20,
+  retryBaseMs = 15000,
+  retryMaxMs = 15 * 60 * 1000,
+  claimTtlMs = 60000
+}) {
+  let flushing = false;
+  let lastSequence = 0;
+
+  async function pending() {
+    const entries = await store.list(NAMESPACE);
+    return entries.sort((a, b) => a.value.sequence - b.value.sequence);
+  }
+
+  // `payload`: one message body, or alternatives to try in order
+  async function enqueue(conversationId, payload, error = null) {
+    const id = crypto.randomUUID();
+    // Strictly increasing so same-millisecond sends keep their order
+    lastSequence = Math.max(Date.now(), lastSequence + 1);
+    await store.set(NAMESPACE, id, {
+      conversation_id: conversationId,
+      payloads: Array.isArray(payload) ? payload : [payload],
+      sequence: lastSequence,
+      attempts: 0,
+      next_attempt_at: Date.now(),
+      last_error: error ? error.message : null
+    });
+    logger.warn('Outbound message queued in outbox', { outbox_id: id, error });
+    return id;
+  }
+
+  // Later messages for a conversation must queue behind earlier ones
+  async function hasPending(conversationId) {
+    const entries = await store.list(NAMESPACE);
+    return entries.some(entry => entry.value.conversation_id === conversationId);
+  }
+
+  // Send one entry; on failure reschedule it with backoff ('retry'), or move
+  // it to the dead letters when retrying cannot help ('dead')
+  async function deliver(key, entry) {
+    const conversationId = entry.conversation_id;
+    // Entries queued before alternatives were kept have a single `payload`
+    let payloads = entry.payloads || [entry.payload];
+
+    try {
+      for (;;) {
+        try {
+          await send(conversationId, payloads[0]);
+          break;
+        } catch (error) {
+          // Only an outright rejection (4xx) means the alternative is safe to send
+          const rejected = error.response?.status < 500 && !isRetryable(error);
+          if (!rejected || payloads.length === 1) throw error;
+          logger.warn('Outbox message rejected, sending the next alternative', {
+            outbox_id: key,
+            conversation_id: conversationId,
+            status: error.response?.status
+          });
+          payloads = payloads.slice(1);
+        }
+      }
+      await store.delete(NAMESPACE, key);
+      logger.info('Outbox message delivered', {
+        outbox_id: key,
+        conversation_id: conversationId,
+        attempts: entry.attempts + 1
+      });
+      return 'sent';
+
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+      const retryable = isRetryable(error);
+
+      if (!retryable || attempts >= maxAttempts) {
+        await store.set(DEAD_NAMESPACE, key, { ...entry, attempts, last_error: error.message });
+        await store.delete(NAMESPACE, key);
+        logger.error(retryable ? 'Outbox message dropped after max attempts' : 'Outbox message rejected, not retrying', {
+          outbox_id: key,
+          conversation_id: conversationId,
+          attempts,
+          status: error.response?.status,
+          error
+        });
+        return 'dead';
+      }
+
+      // Alternatives already rejected are not tried again
+      const delay = Math.min(retryMaxMs, retryBaseMs * 2 ** entry.attempts);
+      await store.set(NAMESPACE, key, {
+        ...entry,
+        payloads,
+        attempts,
+        next_attempt_at: Date.now() + delay,
+        last_error: error.message
+      });
+      return 'retry';
+    }
+  }
+
+  async function flush() {
+    if (flushing) return { sent: 0, failed: 0 };
+    flushing = true;
+
+    const blocked = new Set();
+    let sent = 0;
+    let failed = 0;
+
+    try {
+      for (const { key, value } of await pending()) {
+        const conversationId = value.conversation_id;
+        if (blocked.has(conversationId) || value.next_attempt_at > Date.now()) {
+          blocked.add(conversationId);
+          continue;
+        }
+
+        // Another replica is sending it: leave the rest of the conversation to it
+        if (!(await store.claim(CLAIMS_NAMESPACE, key, claimTtlMs))) {
+          blocked.add(conversationId);
+          continue;
+        }
+
+        try {
+          // Read again under the claim: another replica may have sent or
+          // rescheduled it since it was listed
+          const entry = await store.get(NAMESPACE, key);
+          if (!entry) continue;
+          if (entry.next_attempt_at > Date.now()) {
+            blocked.add(conversationId);
+            continue;
+          }
+
+          const result = await deliver(key, entry);
+          if (result === 'sent') {
+            sent++;
+          } else {
+            failed++;
+            // A dropped message no longer holds up the ones behind it
+            if (result === 'retry') blocked.add(conversationId);
+          }
+        } finally {
+          await store.release(CLAIMS_NAMESPACE, key);
+        }
+      }
+    } finally {
+      flushing = false;
+    }
+
+    return { sent, failed };
+  }
+
+  async function stats() {
+    return {
+      pending: await store.count(NAMESPACE),
+      dead: await store.count(DEAD_NAMESPACE)
+    };
+  }
+
+  return {
+    enqueue,
+    hasPending,
+    flush,
+    stats
+  };
+}
+
+module.exports = {
+  createOutbox
+};
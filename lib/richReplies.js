@@ -0,0 +1,232 @@
+// Structured replies the assistant can attach to its answer (via the
+// rich_reply tool), rendered as Freshchat message/reply parts or, for
+// clients without rich-message support, as plain text.
+
+const RICH_REPLY_TYPES = ['quick_replies', 'buttons', 'list', 'url_buttons', 'image'];
+
+// WhatsApp interactive message limits
+const LIMITS = {
+  buttons: 3,
+  buttonLabel: 20,
+  listRows: 10,
+  listRowTitle: 24,
+  listRowDescription: 72
+};
+
+const TOOL_PARAMETERS = {
+  type: 'object',
+  properties: {
+    type: {
+      type: 'string',
+      enum: RICH_REPLY_TYPES,
+      description: 'quick_replies: suggested answers; buttons: up to 3 reply buttons; ' +
+        'list: a menu of up to 10 choices; url_buttons: links; image: a picture with optional caption'
+    },
+    title: {
+      type: 'string',
+      description: 'Heading shown above the choices (or the list button label)'
+    },
+    options: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Choice labels for quick_replies and buttons'
+    },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          description: { type: 'string' }
+        },
+        required: ['title']
+      },
+      description: 'Rows for a list'
+    },
+    links: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string' },
+          url: { type: 'string' }
+        },
+        required: ['label', 'url']
+      },
+      description: 'Links for url_buttons'
+    },
+    image_url: { type: 'string', description: 'Public https URL of the image' },
+    caption: { type: 'string', description: 'Image caption' }
+  },
+  required: ['type']
+};
+
+function truncate(text, max) {
+  const value = String(text).trim();
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+}
+
+function requireHttpUrl(url, field) {
+  if (!/^https?:\/\/\S+$/i.test(url || '')) {
+    throw new Error(`${field} must be an http(s) URL`);
+  }
+  return url;
+}
+
+// Validates tool arguments and applies channel limits; throws with a message
+// the assistant can act on
+function normalizeRichReply(args) {
+  const { type, title = null } = args;
+
+  if (!RICH_REPLY_TYPES.includes(type)) {
+    throw new Error(`type must be one of ${RICH_REPLY_TYPES.join(', ')}`);
+  }
+
+  if (type === 'quick_replies' || type === 'buttons') {
+    const options = (args.options || []).filter(Boolean);
+    if (!options.length) throw new Error(`${type} needs at least one option`);
+    const max = type === 'buttons' ? LIMITS.buttons : options.length;
+    return { type, title, options: options.slice(0, max).map(option => truncate(option, LIMITS.buttonLabel)) };
+  }
+
+  if (type === 'list') {
+    const items = (args.items || []).filter(item => item?.title);
+    if (!items.length) throw new Error('list needs at least one item');
+    return {
+      type,
+      title,
+      items: items.slice(0, LIMITS.listRows).map(item => ({
+        title: truncate(item.title, LIMITS.listRowTitle),
+        description: item.description ? truncate(item.description, LIMITS.listRowDescription) : null
+      }))
+    };
+  }
+
+  if (type === 'url_buttons') {
+    const links = (args.links || []).filter(link => link?.label && link?.url);
+    if (!links.length) throw new Error('url_buttons needs at least one link');
+    return {
+      type,
+      title,
+      links: links.map(link => ({ label: truncate(link.label, LIMITS.buttonLabel), url: requireHttpUrl(link.url, 'links[].url') }))
+    };
+  }
+
+  return { type, title, imageUrl: requireHttpUrl(args.image_url, 'image_url'), caption: args.caption || null };
+}
+
+function template(type, title, buttons) {
+  return {
+    template_content: {
+      type,
+      sections: [
+        ...(title ? [{ name: 'title', parts: [{ text: { content: title } }] }] : []),
+        { name: 'options', parts: buttons }
+      ]
+    }
+  };
+}
+
+// Freshchat message_parts / reply_parts for a text answer plus a rich reply
+function toFreshchatParts(text, richReply) {
+  const messageParts = text ? [{ text: { content: text } }] : [];
+
+  if (!richReply) {
+    return { message_parts: messageParts };
+  }
+
+  switch (richReply.type) {
+    case 'quick_replies':
+      return {
+        message_parts: messageParts,
+        reply_parts: [{
+          collection: {
+            sub_parts: richReply.options.map(label => ({ quick_reply_button: { label, custom_reply_text: label } }))
+          }
+        }]
+      };
+
+    case 'buttons':
+      return {
+        message_parts: messageParts,
+        reply_parts: [template('quick_reply_buttons', richReply.title,
+          richReply.options.map(label => ({ callback_button: { label, payload: label, custom_reply_text: label } })))]
+      };
+
+    case 'list':
+      return {
+        message_parts: messageParts,
+        reply_parts: [template('quick_reply_dropdown', richReply.title,
+          richReply.items.map(item => ({
+            callback_button: {
+              label: item.title,
+              description: item.description || undefined,
+              payload: item.title,
+              custom_reply_text: item.title
+            }
+          })))]
+      };
+
+    case 'url_buttons':
+      return {
+        message_parts: [
+          ...messageParts,
+          ...richReply.links.map(link => ({ url_button: { url: link.url, label: link.label, target: '_blank' } }))
+        ]
+      };
+
+    case 'image':
+      return {
+        message_parts: [
+          ...messageParts,
+          { image: { url: richReply.imageUrl } },
+          ...(richReply.caption ? [{ text: { content: richReply.caption } }] : [])
+        ]
+      };
+
+    default:
+      return { message_parts: messageParts };
+  }
+}
+
+// Plain-text rendering for clients without rich-message support
+function toTextFallback(text, richReply) {
+  if (!richReply) return text;
+
+  const lines = [];
+  if (richReply.title) lines.push(richReply.title);
+
+  switch (richReply.type) {
+    case 'quick_replies':
+    case 'buttons':
+      richReply.options.forEach((option, index) => lines.push(`${index + 1}. ${option}`));
+      lines.push('', 'Reply with the number or text of your choice.');
+      break;
+
+    case 'list':
+      richReply.items.forEach((item, index) => {
+        lines.push(`${index + 1}. ${item.title}${item.description ? ` - ${item.description}` : ''}`);
+      });
+      lines.push('', 'Reply with the number or text of your choice.');
+      break;
+
+    case 'url_buttons':
+      richReply.links.forEach(link => lines.push(`${link.label}: ${link.url}`));
+      break;
+
+    case 'image':
+      lines.push(richReply.caption ? `${richReply.caption}: ${richReply.imageUrl}` : richReply.imageUrl);
+      break;
+  }
+
+  return [text, lines.join('\n')].filter(Boolean).join('\n\n');
+}
+
+module.exports = {
+  RICH_REPLY_TYPES,
+  LIMITS,
+  TOOL_PARAMETERS,
+  normalizeRichReply,
+  toFreshchatParts,
+  toTextFallback
+};
@@ -0,0 +1,46 @@
+const path = require('path');
+const { toFile } = require('openai');
+const { logger } = require('./logger');
+
+// Built-in speech-to-text providers. Each factory returns
+// { name, transcribe({ buffer, fileName, contentType }) -> text }
+const PROVIDERS = {
+  openai: ({ openai, model = 'whisper-1' }) => ({
+    name: 'openai',
+    async transcribe({ buffer, fileName, contentType }) {
+      const result = await openai.audio.transcriptions.create({
+        file: await toFile(buffer, fileName, { type: contentType }),
+        model
+      });
+      return result.text;
+    }
+  }),
+
+  // Voice notes are acknowledged but not transcribed
+  none: () => ({
+    name: 'none',
+    transcribe: async () => null
+  })
+};
+
+// `provider` is a built-in name or a path to a module exporting the same
+// kind of factory, so other speech-to-text services can be plugged in
+function createTranscriber({ provider = 'openai', ...options } = {}) {
+  let factory = PROVIDERS[provider];
+
+  if (!factory) {
+    factory = require(path.resolve(provider));
+    if (typeof factory !== 'function') {
+      throw new Error(`Speech-to-text provider "${provider}" must export a factory function`);
+    }
+  }
+
+  const transcriber = factory(options);
+  logger.info('Speech-to-text provider ready', { provider: transcriber.name || provider });
+  return transcriber;
+}
+
+module.exports = {
+  PROVIDERS,
+  createTranscriber
+};
@@ -0,0 +1,359 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Every backend exposes the same async interface, organised in namespaces
+// (e.g. 'threads', 'escalations'). Each entry keeps its own timestamps:
+//   { key, value, createdAt, updatedAt }
+// claim(namespace, key, ttlMs) takes a short-lived exclusive claim (true if
+// this caller got it) that expires on its own; release() gives it back.
+// Append-only lists (e.g. transcripts) live beside the entries and never
+// rewrite what is already stored: append(namespace, key, value),
+// range(namespace, key), trimStart(namespace, key, count) drops the oldest
+// items (the list goes when empty) and listKeys(namespace).
+
+function wrapEntry(key, value, previous) {
+  const now = new Date().toISOString();
+  return {
+    key,
+    value,
+    createdAt: previous?.createdAt || now,
+    updatedAt: now
+  };
+}
+
+// In-memory backend (state is lost on restart - useful for local testing)
+function createMemoryStore() {
+  const namespaces = new Map();
+  const claims = new Map();
+  const lists = new Map();
+
+  function listBucket(namespace) {
+    if (!lists.has(namespace)) {
+      lists.set(namespace, new Map());
+    }
+    return lists.get(namespace);
+  }
+
+  function bucket(namespace) {
+    if (!namespaces.has(namespace)) {
+      namespaces.set(namespace, new Map());
+    }
+    return namespaces.get(namespace);
+  }
+
+  return {
+    type: 'memory',
+    namespaces,
+
+    async getEntry(namespace, key) {
+      return bucket(namespace).get(String(key)) || null;
+    },
+
+    async get(namespace, key) {
+      const entry = bucket(namespace).get(String(key));
+      return entry ? entry.value : null;
+    },
+
+    async set(namespace, key, value) {
+      const entries = bucket(namespace);
+      const entry = wrapEntry(String(key), value, entries.get(String(key)));
+      entries.set(String(key), entry);
+      return entry;
+    },
+
+    async delete(namespace, key) {
+      return bucket(namespace).delete(String(key));
+    },
+
+    async has(namespace, key) {
+      return bucket(namespace).has(String(key));
+    },
+
+    async list(namespace) {
+      return Array.from(bucket(namespace).values());
+    },
+
+    async count(namespace) {
+      return bucket(namespace).size;
+    },
+
+    async claim(namespace, key, ttlMs) {
+      const claimKey = `${namespace}:${key}`;
+      if (claims.get(claimKey) > Date.now()) return false;
+      claims.set(claimKey, Date.now() + ttlMs);
+      return true;
+    },
+
+    async release(namespace, key) {
+      claims.delete(`${namespace}:${key}`);
+    },
+
+    async append(namespace, key, value) {
+      const items = listBucket(namespace);
+      if (!items.has(String(key))) items.set(String(key), []);
+      items.get(String(key)).push(value);
+    },
+
+    async range(namespace, key) {
+      return [...(listBucket(namespace).get(String(key)) || [])];
+    },
+
+    async trimStart(namespace, key, count) {
+      const items = listBucket(namespace);
+      const kept = (items.get(String(key)) || []).slice(count);
+      if (kept.length) {
+        items.set(String(key), kept);
+      } else {
+        items.delete(String(key));
+      }
+    },
+
+    async listKeys(namespace) {
+      return Array.from(listBucket(namespace).keys());
+    },
+
+    async close() {}
+  };
+}
+
+// File backend: memory store mirrored to a JSON file on every change
+function createFileStore({ filePath }) {
+  const store = createMemoryStore();
+  const resolvedPath = path.resolve(filePath);
+
+  try {
+    if (fs.existsSync(resolvedPath)) {
+      const saved = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+      Object.entries(saved).forEach(([namespace, entries]) => {
+        store.namespaces.set(namespace, new Map(Object.entries(entries)));
+      });
+      logger.info('Loaded state file', { path: resolvedPath });
+    }
+  } catch (error) {
+    logger.error('Could not read state file', { path: resolvedPath, error });
+  }
+
+  // Serialize writes so concurrent updates never interleave on disk
+  let pendingWrite = Promise.resolve();
+
+  // Lists are kept out of the state file (which is rewritten on every change):
+  // one JSON-lines file per list, appended to, under <state dir>/lists/
+  const listsDir = path.join(path.dirname(resolvedPath), 'lists');
+  const listWrites = new Map();
+  const listPath = (namespace, key) => path.join(listsDir, namespace, `${encodeURIComponent(String(key))}.jsonl`);
+
+  function withListLock(filePath, fn) {
+    const next = (listWrites.get(filePath) || Promise.resolve()).then(fn, fn);
+    listWrites.set(filePath, next);
+    next.finally(() => {
+      if (listWrites.get(filePath) === next) listWrites.delete(filePath);
+    }).catch(() => {});
+    return next;
+  }
+
+  async function readList(filePath) {
+    try {
+      const raw = await fs.promises.readFile(filePath, 'utf8');
+      return raw.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  function persist() {
+    pendingWrite = pendingWrite
+      .then(async () => {
+        const snapshot = {};
+        store.namespaces.forEach((entries, namespace) => {
+          snapshot[namespace] = Object.fromEntries(entries);
+        });
+
+        await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
+        const tmpPath = `${resolvedPath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(snapshot, null, 2));
+        await fs.promises.rename(tmpPath, resolvedPath);
+      })
+      .catch(error => logger.error('Failed to write state file', { error }));
+
+    return pendingWrite;
+  }
+
+  return {
+    ...store,
+    type: 'file',
+
+    async set(namespace, key, value) {
+      const entry = await store.set(namespace, key, value);
+      await persist();
+      return entry;
+    },
+
+    async delete(namespace, key) {
+      const deleted = await store.delete(namespace, key);
+      if (deleted) await persist();
+      return deleted;
+    },
+
+    async append(namespace, key, value) {
+      const filePath = listPath(namespace, key);
+      await withListLock(filePath, async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, `${JSON.stringify(value)}\n`);
+      });
+    },
+
+    async range(namespace, key) {
+      const filePath = listPath(namespace, key);
+      return withListLock(filePath, () => readList(filePath));
+    },
+
+    async trimStart(namespace, key, count) {
+      const filePath = listPath(namespace, key);
+      await withListLock(filePath, async () => {
+        const kept = (await readList(filePath)).slice(count);
+        if (!kept.length) {
+          await fs.promises.rm(filePath, { force: true });
+          return;
+        }
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, kept.map(item => `${JSON.stringify(item)}\n`).join(''));
+        await fs.promises.rename(tmpPath, filePath);
+      });
+    },
+
+    async listKeys(namespace) {
+      try {
+        const files = await fs.promises.readdir(path.join(listsDir, namespace));
+        return files.filter(file => file.endsWith('.jsonl')).map(file => decodeURIComponent(file.slice(0, -6)));
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    },
+
+    async close() {
+      await pendingWrite;
+      await Promise.all(listWrites.values());
+    }
+  };
+}
+
+// Redis backend: one hash per namespace, shared by every replica
+function createRedisStore({ url, keyPrefix }) {
+  const Redis = require('ioredis');
+  const client = new Redis(url, { lazyConnect: false, maxRetriesPerRequest: 3 });
+
+  client.on('error', error => logger.error('Redis error', { error }));
+
+  const hashKey = namespace => `${keyPrefix}${namespace}`;
+
+  async function getEntry(namespace, key) {
+    const raw = await client.hget(hashKey(namespace), String(key));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  return {
+    type: 'redis',
+
+    getEntry,
+
+    async get(namespace, key) {
+      const entry = await getEntry(namespace, key);
+      return entry ? entry.value : null;
+    },
+
+    async set(namespace, key, value) {
+      const previous = await getEntry(namespace, key);
+      const entry = wrapEntry(String(key), value, previous);
+      await client.hset(hashKey(namespace), String(key), JSON.stringify(entry));
+      return entry;
+    },
+
+    async delete(namespace, key) {
+      return (await client.hdel(hashKey(namespace), String(key))) > 0;
+    },
+
+    async has(namespace, key) {
+      return (await client.hexists(hashKey(namespace), String(key))) === 1;
+    },
+
+    async list(namespace) {
+      const all = await client.hgetall(hashKey(namespace));
+      return Object.values(all).map(raw => JSON.parse(raw));
+    },
+
+    async count(namespace) {
+      return client.hlen(hashKey(namespace));
+    },
+
+    // Plain keys (not hash fields) so Redis expires them
+    async claim(namespace, key, ttlMs) {
+      return (await client.set(`${hashKey(namespace)}:${key}`, '1', 'PX', ttlMs, 'NX')) === 'OK';
+    },
+
+    async release(namespace, key) {
+      await client.del(`${hashKey(namespace)}:${key}`);
+    },
+
+    // One Redis list per key (RPUSH is atomic across replicas), plus a set of
+    // the keys that have one
+    async append(namespace, key, value) {
+      await client.multi()
+        .rpush(`${hashKey(namespace)}:list:${key}`, JSON.stringify(value))
+        .sadd(`${hashKey(namespace)}:lists`, String(key))
+        .exec();
+    },
+
+    async range(namespace, key) {
+      const items = await client.lrange(`${hashKey(namespace)}:list:${key}`, 0, -1);
+      return items.map(raw => JSON.parse(raw));
+    },
+
+    // Appends land at the other end, so trimming the start never loses them
+    async trimStart(namespace, key, count) {
+      const listKey = `${hashKey(namespace)}:list:${key}`;
+      await client.ltrim(listKey, count, -1);
+      if ((await client.llen(listKey)) === 0) {
+        await client.srem(`${hashKey(namespace)}:lists`, String(key));
+      }
+    },
+
+    async listKeys(namespace) {
+      return client.smembers(`${hashKey(namespace)}:lists`);
+    },
+
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+function createStateStore(options = {}) {
+  const type = (options.type || 'file').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ filePath: options.filePath || './data/state.json' });
+    case 'redis':
+      if (!options.redisUrl) {
+        throw new Error('REDIS_URL is required when STATE_STORE=redis');
+      }
+      return createRedisStore({
+        url: options.redisUrl,
+        keyPrefix: options.keyPrefix || 'freshchat-bot:'
+      });
+    default:
+      throw new Error(`Unknown state store type: ${type}`);
+  }
+}
+
+module.exports = {
+  createStateStore,
+  createMemoryStore,
+  createFileStore,
+  createRedisStore
+};
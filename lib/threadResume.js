@@ -0,0 +1,104 @@
+const { logger } = require('./logger');
+
+const DEFAULT_WELCOME_BACK = "I'm back! How can I help you today? 😊";
+const MAX_PAGES = 5;
+const PAGE_SIZE = 50;
+const MAX_CONTEXT_MESSAGES = 60;
+
+const WELCOME_BACK_PROMPT = [
+  'You are a customer support bot taking a chat back from a human agent.',
+  'Given the agent-customer messages, write one or two short sentences that welcome the customer back,',
+  'briefly acknowledge what the agent resolved, and ask whether they need anything else.',
+  "Use the customer's language. Plain text only."
+].join(' ');
+
+function messageText(message) {
+  return (message.message_parts || [])
+    .map(part => part.text?.content || (part.image || part.file || part.audio ? '[attachment]' : ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Helps the bot pick up a conversation after a human agent: collects what the
+// agent and customer said during the escalation, adds it to the restored
+// thread (through the assistant `provider`) and writes a welcome-back message
+// that acknowledges it.
+function createThreadResumer({ openai, provider, freshchat, botAgentId = null, model = 'gpt-4o-mini' }) {
+  // Agent/customer messages since `since` (ISO date), oldest first; the bot's
+  // own messages and private notes are left out
+  async function collectAgentMessages(conversationId, since) {
+    const sinceTime = since ? Date.parse(since) : 0;
+    const collected = [];
+
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const response = await freshchat.get(`/conversations/${conversationId}/messages`, {
+        params: { page, items_per_page: PAGE_SIZE }
+      });
+      const messages = response.data?.messages || [];
+
+      messages.forEach(message => {
+        if (Date.parse(message.created_time) < sinceTime) return;
+        if (message.message_type === 'private') return;
+        if (message.actor_type === 'agent' && message.actor_id === botAgentId) return;
+        if (!['agent', 'user'].includes(message.actor_type)) return;
+
+        const text = messageText(message);
+        if (text) {
+          collected.push({ role: message.actor_type, text, createdTime: message.created_time });
+        }
+      });
+
+      const reachedSince = messages.some(message => Date.parse(message.created_time) < sinceTime);
+      if (messages.length < PAGE_SIZE || reachedSince) break;
+    }
+
+    return collected
+      .sort((a, b) => Date.parse(a.createdTime) - Date.parse(b.createdTime))
+      .slice(-MAX_CONTEXT_MESSAGES);
+  }
+
+  function transcript(messages) {
+    return messages
+      .map(message => `${message.role === 'agent' ? 'Agent' : 'Customer'}: ${message.text}`)
+      .join('\n');
+  }
+
+  // Added as a single user-role note so the next run sees it before the
+  // customer's next message
+  async function injectContext(threadId, messages) {
+    await provider.addNote(threadId,
+      '[Context, not from the customer] A human agent handled this conversation for a while. ' +
+      'Their exchange with the customer follows; take it into account in your next replies.\n\n' +
+      transcript(messages));
+    logger.info('Injected agent conversation into thread', { thread_id: threadId, messages: messages.length });
+  }
+
+  async function welcomeBack(messages) {
+    if (!messages.length) return DEFAULT_WELCOME_BACK;
+
+    try {
+      const completion = await openai.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: WELCOME_BACK_PROMPT },
+          { role: 'user', content: transcript(messages) }
+        ]
+      });
+      return completion.choices[0].message.content.trim() || DEFAULT_WELCOME_BACK;
+    } catch (error) {
+      logger.warn('Could not write welcome-back message, using default', { error });
+      return DEFAULT_WELCOME_BACK;
+    }
+  }
+
+  return {
+    collectAgentMessages,
+    injectContext,
+    welcomeBack
+  };
+}
+
+module.exports = {
+  DEFAULT_WELCOME_BACK,
+  createThreadResumer
+};
@@ -0,0 +1,121 @@
+const { logger } = require('./logger');
+
+const NAMESPACE = 'transcripts';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPORT_FORMATS = ['json', 'csv', 'text'];
+const CSV_COLUMNS = ['at', 'type', 'actor', 'text', 'raw_text', 'details'];
+
+// Per-conversation record of what happened: user messages, bot replies (raw
+// and as sent), agent messages, escalations and returns to the bot.
+// Entries: { at, type, actor, text, raw_text, details }
+// Each transcript is an append-only list in the state store, so recording an
+// entry never rewrites the earlier ones and replicas can write concurrently.
+function createTranscriptStore({ store, retentionDays = 90 }) {
+  async function record(conversationId, { type, actor, text = null, rawText = null, details = null }) {
+    const entry = {
+      at: new Date().toISOString(),
+      type,
+      actor,
+      text,
+      raw_text: rawText,
+      details
+    };
+
+    try {
+      await store.append(NAMESPACE, conversationId, entry);
+    } catch (error) {
+      // A transcript failure must never break the conversation itself
+      logger.error('Failed to record transcript entry', { conversation_id: conversationId, type, error });
+    }
+    return entry;
+  }
+
+  // Entries between `from` and `to` (Date or null), oldest first
+  async function query(conversationId, { from = null, to = null } = {}) {
+    const entries = await store.range(NAMESPACE, conversationId);
+    return entries.filter(entry => {
+      const at = Date.parse(entry.at);
+      return (!from || at >= from.getTime()) && (!to || at <= to.getTime());
+    });
+  }
+
+  // Drop entries older than the retention period; empty transcripts are removed.
+  // Entries are in time order, so the old ones are always at the start.
+  async function purge(now = new Date()) {
+    if (!retentionDays) return { conversations: 0, entries: 0 };
+
+    const cutoff = now.getTime() - retentionDays * DAY_MS;
+    let conversations = 0;
+    let removed = 0;
+
+    for (const key of await store.listKeys(NAMESPACE)) {
+      const entries = await store.range(NAMESPACE, key);
+      const expired = entries.findIndex(entry => Date.parse(entry.at) >= cutoff);
+      const count = expired === -1 ? entries.length : expired;
+      if (!count) continue;
+
+      await store.trimStart(NAMESPACE, key, count);
+      removed += count;
+      conversations++;
+    }
+
+    if (removed) {
+      logger.info('Purged old transcript entries', { conversations, entries: removed, retention_days: retentionDays });
+    }
+    return { conversations, entries: removed };
+  }
+
+  return {
+    record,
+    query,
+    purge,
+    count: async () => (await store.listKeys(NAMESPACE)).length
+  };
+}
+
+// `from`/`to` query values (ISO dates or date-times) -> Dates; a bare date
+// for `to` covers that whole day
+function parseDateRange({ from, to } = {}) {
+  const parse = (value, name, endOfDay) => {
+    if (!value) return null;
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(dateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid ${name} date: ${value}`);
+    }
+    return date;
+  };
+
+  const range = { from: parse(from, 'from', false), to: parse(to, 'to', true) };
+  if (range.from && range.to && range.from > range.to) {
+    throw new Error('from must be before to');
+  }
+  return range;
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => csvCell(entry[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function toText(entries) {
+  return entries.map(entry => {
+    const label = entry.actor.toUpperCase();
+    const body = entry.text || (entry.details ? JSON.stringify(entry.details) : '');
+    return `[${entry.at}] ${label} (${entry.type}): ${body}`;
+  }).join('\n') + '\n';
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  createTranscriptStore,
+  parseDateRange,
+  toCsv,
+  toText
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const SIGNATURE_HEADER = 'x-freshchat-signature';
+
+// Env vars usually hold the PEM on one line with literal "\n" sequences
+function normalizePublicKey(publicKey) {
+  if (!publicKey) return null;
+  return publicKey.replace(/\\n/g, '\n').trim();
+}
+
+// Freshchat signs the raw request body with RSA-SHA256 (base64 signature)
+function verifySignature(rawBody, signature, publicKey) {
+  if (!rawBody || !signature || !publicKey) {
+    return false;
+  }
+
+  try {
+    const verifier = crypto.createVerify('RSA-SHA256');
+    verifier.update(rawBody);
+    verifier.end();
+    return verifier.verify(publicKey, signature, 'base64');
+  } catch (error) {
+    logger.error('Signature verification error', { error });
+    return false;
+  }
+}
+
+// Reject payloads whose action_time is outside the allowed window (either direction)
+function isWithinReplayWindow(payload, maxAgeSeconds, now = Date.now()) {
+  const actionTime = Date.parse(payload?.action_time);
+  if (Number.isNaN(actionTime)) {
+    return false;
+  }
+  return Math.abs(now - actionTime) <= maxAgeSeconds * 1000;
+}
+
+// Express middleware; requires express.json() to keep the raw body on req.rawBody
+function createWebhookVerifier({ publicKey, maxAgeSeconds = 300 }) {
+  const key = normalizePublicKey(publicKey);
+
+  return (req, res, next) => {
+    if (!key) {
+      return next();
+    }
+
+    const signature = req.get(SIGNATURE_HEADER);
+
+    if (!signature) {
+      logger.warn('Rejected webhook: missing signature');
+      return res.status(401).json({ error: 'Missing signature' });
+    }
+
+    if (!verifySignature(req.rawBody, signature, key)) {
+      logger.warn('Rejected webhook: invalid signature');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    if (!isWithinReplayWindow(req.body, maxAgeSeconds)) {
+      logger.warn('Rejected webhook: timestamp outside replay window', {
+        action_time: req.body?.action_time
+      });
+      return res.status(401).json({ error: 'Stale or missing timestamp' });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  normalizePublicKey,
+  verifySignature,
+  isWithinReplayWindow,
+  createWebhookVerifier
+};
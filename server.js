@@ -1,10 +1,51 @@
 require('dotenv').config();
 const express = require('express');
-const axios = require('axios');
 const OpenAI = require('openai');
+const crypto = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+const { logger } = require('./lib/logger');
+const { createStateStore } = require('./lib/stateStore');
+const { createWebhookVerifier } = require('./lib/webhookSignature');
+const { getEventKey, createDedupeCache } = require('./lib/dedupeCache');
+const { createConversationQueue } = require('./lib/conversationQueue');
+const { parseAdminKeys, createAdminAuth, createAuditLog } = require('./lib/adminAuth');
+const metrics = require('./lib/metrics');
+const { DEFAULT_POLICY_FILE, loadPolicyFile, createEscalationPolicy } = require('./lib/escalationPolicy');
+const { createToolRegistry } = require('./lib/assistantTools');
+const { loadRoutingConfig, createEscalationRouter } = require('./lib/escalationRouting');
+const { detectLanguage } = require('./lib/language');
+const { loadBusinessCalendar } = require('./lib/businessHours');
+const { createAssistantProvider } = require('./lib/assistantProviders');
+const { createCircuitBreaker, createFreshchatClient } = require('./lib/freshchatClient');
+const { createOutbox } = require('./lib/outbox');
+const { createTranscriber } = require('./lib/speechToText');
+const { extractParts, partsToText, createMediaProcessor } = require('./lib/inboundMedia');
+const { chunkMessage } = require('./lib/messageChunker');
+const { applyCitations, createFormatterRegistry } = require('./lib/formatters');
+const { loadChannelConfig, detectChannel } = require('./lib/channels');
+const { loadSourceMapping, createSourceResolver, createCitationLog } = require('./lib/citationSources');
+const { createHandoffSummarizer, formatSummaryNote } = require('./lib/handoffSummary');
+const { createThreadResumer } = require('./lib/threadResume');
+const { loadAssistantConfig, createIntentClassifier, createAssistantRouter } = require('./lib/assistantRouting');
+const { EXPORT_FORMATS, createTranscriptStore, parseDateRange, toCsv, toText } = require('./lib/transcripts');
+const {
+  TRIGGERS: CSAT_TRIGGER_NAMES,
+  DEFAULT_PROMPT: DEFAULT_CSAT_PROMPT,
+  DEFAULT_THANKS: DEFAULT_CSAT_THANKS,
+  RATING_OPTIONS,
+  parseRating,
+  createCsatSurvey,
+  buildReport: buildCsatReport
+} = require('./lib/csat');
+const { TOOL_PARAMETERS: RICH_REPLY_PARAMETERS, normalizeRichReply, toFreshchatParts, toTextFallback } = require('./lib/richReplies');
 
 const app = express();
-app.use(express.json());
+app.use(express.json({
+  // Keep the exact bytes Freshchat signed for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Configuration
 const FRESHCHAT_API_KEY = process.env.FRESHCHAT_API_KEY;
@@ -13,22 +54,88 @@ const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const ASSISTANT_ID = process.env.ASSISTANT_ID;
 const BOT_AGENT_ID = process.env.FRESHCHAT_BOT_AGENT_ID;
 const HUMAN_AGENT_ID = process.env.HUMAN_AGENT_ID; // ADD THIS TO .env
+const STATE_STORE = process.env.STATE_STORE || 'file';
+const WEBHOOK_PUBLIC_KEY = process.env.FRESHCHAT_WEBHOOK_PUBLIC_KEY;
+const WEBHOOK_MAX_AGE_SECONDS = parseInt(process.env.WEBHOOK_MAX_AGE_SECONDS || '300', 10);
+const WEBHOOK_DEDUPE_TTL_SECONDS = parseInt(process.env.WEBHOOK_DEDUPE_TTL_SECONDS || '600', 10);
+const WEBHOOK_DEDUPE_MAX_ENTRIES = parseInt(process.env.WEBHOOK_DEDUPE_MAX_ENTRIES || '10000', 10);
+const MESSAGE_DEBOUNCE_MS = parseInt(process.env.MESSAGE_DEBOUNCE_MS || '0', 10);
+const ADMIN_API_KEYS = parseAdminKeys(process.env.ADMIN_API_KEYS);
+const ESCALATION_POLICY_FILE = process.env.ESCALATION_POLICY_FILE || DEFAULT_POLICY_FILE;
+const ESCALATION_ROUTING_FILE = process.env.ESCALATION_ROUTING_FILE;
+const BUSINESS_HOURS_FILE = process.env.BUSINESS_HOURS_FILE;
+const AGENT_AVAILABILITY_CHECK = process.env.AGENT_AVAILABILITY_CHECK !== 'false';
+const DEFERRED_HANDOFF_INTERVAL_MS = parseInt(process.env.DEFERRED_HANDOFF_INTERVAL_MS || '60000', 10);
+const ASSISTANT_PROVIDER = process.env.ASSISTANT_PROVIDER || 'assistants';
+const RESPONSES_MODEL = process.env.RESPONSES_MODEL || 'gpt-4o-mini';
+const RESPONSES_INSTRUCTIONS = process.env.RESPONSES_INSTRUCTIONS || '';
+const RESPONSES_INSTRUCTIONS_FILE = process.env.RESPONSES_INSTRUCTIONS_FILE;
+const RESPONSES_VECTOR_STORE_IDS = (process.env.RESPONSES_VECTOR_STORE_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+const RESPONSES_MAX_HISTORY = parseInt(process.env.RESPONSES_MAX_HISTORY || '40', 10);
+const ASSISTANT_RUN_MODE = process.env.ASSISTANT_RUN_MODE || 'stream';
+const ASSISTANT_RUN_TIMEOUT_MS = parseInt(process.env.ASSISTANT_RUN_TIMEOUT_MS || '60000', 10);
+const ASSISTANT_POLL_INITIAL_MS = parseInt(process.env.ASSISTANT_POLL_INITIAL_MS || '250', 10);
+const ASSISTANT_POLL_MAX_MS = parseInt(process.env.ASSISTANT_POLL_MAX_MS || '2000', 10);
+const FRESHCHAT_TIMEOUT_MS = parseInt(process.env.FRESHCHAT_TIMEOUT_MS || '10000', 10);
+const FRESHCHAT_MAX_RETRIES = parseInt(process.env.FRESHCHAT_MAX_RETRIES || '3', 10);
+const FRESHCHAT_BREAKER_THRESHOLD = parseInt(process.env.FRESHCHAT_BREAKER_THRESHOLD || '5', 10);
+const FRESHCHAT_BREAKER_RESET_MS = parseInt(process.env.FRESHCHAT_BREAKER_RESET_MS || '30000', 10);
+const OUTBOX_FLUSH_INTERVAL_MS = parseInt(process.env.OUTBOX_FLUSH_INTERVAL_MS || '15000', 10);
+const OUTBOX_MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '20', 10);
+const STT_PROVIDER = process.env.STT_PROVIDER || 'openai';
+const STT_MODEL = process.env.STT_MODEL || 'whisper-1';
+const RICH_REPLIES = process.env.RICH_REPLIES !== 'false';
+const CHANNELS_FILE = process.env.CHANNELS_FILE;
+const SOURCES_FILE = process.env.SOURCES_FILE;
+const HANDOFF_SUMMARY = process.env.HANDOFF_SUMMARY !== 'false';
+const HANDOFF_SUMMARY_MODEL = process.env.HANDOFF_SUMMARY_MODEL || 'gpt-4o-mini';
+const REPLY_CHUNK_LIMIT = parseInt(process.env.REPLY_CHUNK_LIMIT || '1500', 10);
+const REPLY_CHUNK_MARKERS = process.env.REPLY_CHUNK_MARKERS !== 'false';
+const REPLY_CHUNK_DELAY_MS = parseInt(process.env.REPLY_CHUNK_DELAY_MS || '800', 10);
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES || String(20 * 1024 * 1024), 10);
+const MEDIA_RETENTION_DAYS = parseInt(process.env.MEDIA_RETENTION_DAYS || '7', 10);
+const MEDIA_PURGE_INTERVAL_MS = parseInt(process.env.MEDIA_PURGE_INTERVAL_MS || String(60 * 60 * 1000), 10);
+const TRANSCRIPT_RETENTION_DAYS = parseInt(process.env.TRANSCRIPT_RETENTION_DAYS || '90', 10);
+const TRANSCRIPT_PURGE_INTERVAL_MS = parseInt(process.env.TRANSCRIPT_PURGE_INTERVAL_MS || String(60 * 60 * 1000), 10);
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS || '365', 10);
+const ASSISTANTS_FILE = process.env.ASSISTANTS_FILE;
+const CSAT_ENABLED = process.env.CSAT_ENABLED === 'true';
+const CSAT_TRIGGERS = (process.env.CSAT_TRIGGERS || CSAT_TRIGGER_NAMES.join(','))
+  .split(',').map(trigger => trigger.trim()).filter(trigger => CSAT_TRIGGER_NAMES.includes(trigger));
+const CSAT_IDLE_MINUTES = parseInt(process.env.CSAT_IDLE_MINUTES || '30', 10);
+const CSAT_RESPONSE_WINDOW_MINUTES = parseInt(process.env.CSAT_RESPONSE_WINDOW_MINUTES || '60', 10);
+const CSAT_COOLDOWN_HOURS = parseInt(process.env.CSAT_COOLDOWN_HOURS || '24', 10);
+const CSAT_CHECK_INTERVAL_MS = parseInt(process.env.CSAT_CHECK_INTERVAL_MS || '60000', 10);
+const CSAT_PROMPT = process.env.CSAT_PROMPT || DEFAULT_CSAT_PROMPT;
+const CSAT_THANKS = process.env.CSAT_THANKS || DEFAULT_CSAT_THANKS;
 
 // Validate environment variables
-console.log('\n' + '='.repeat(70));
-console.log('🔍 Configuration Check:');
-console.log('='.repeat(70));
-console.log('FRESHCHAT_API_KEY:', FRESHCHAT_API_KEY ? '✅ Set' : '❌ Missing');
-console.log('FRESHCHAT_API_URL:', FRESHCHAT_API_URL);
-console.log('OPENAI_API_KEY:', OPENAI_API_KEY ? '✅ Set' : '❌ Missing');
-console.log('ASSISTANT_ID:', ASSISTANT_ID || '❌ Missing');
-console.log('BOT_AGENT_ID:', BOT_AGENT_ID || '⚠️ Not set (optional)');
-console.log('HUMAN_AGENT_ID:', HUMAN_AGENT_ID || '⚠️ Not set (for escalation)');
-console.log('='.repeat(70) + '\n');
-
-if (!FRESHCHAT_API_KEY || !OPENAI_API_KEY || !ASSISTANT_ID) {
-  console.error('❌ Missing required environment variables!');
-  process.exit(1);
+logger.info('Configuration check', {
+  freshchat_api_key: !!FRESHCHAT_API_KEY,
+  freshchat_api_url: FRESHCHAT_API_URL,
+  openai_api_key: !!OPENAI_API_KEY,
+  assistant_provider: ASSISTANT_PROVIDER,
+  assistant_id: ASSISTANT_ID || null,
+  bot_agent_id: BOT_AGENT_ID || null,
+  human_agent_id: HUMAN_AGENT_ID || null,
+  state_store: STATE_STORE,
+  admin_api_keys: ADMIN_API_KEYS.length,
+  webhook_signature_verification: !!WEBHOOK_PUBLIC_KEY
+});
+
+if (!ADMIN_API_KEYS.length) {
+  logger.warn('ADMIN_API_KEYS not set - admin API disabled');
+}
+
+if (!WEBHOOK_PUBLIC_KEY) {
+  logger.warn('FRESHCHAT_WEBHOOK_PUBLIC_KEY not set - webhook signatures NOT verified');
+}
+
+// ASSISTANT_ID is only needed by the Assistants API backend
+if (!FRESHCHAT_API_KEY || !OPENAI_API_KEY || (ASSISTANT_PROVIDER === 'assistants' && !ASSISTANT_ID)) {
+  logger.error('Missing required environment variables');
+  if (require.main === module) process.exit(1);
+  throw new Error('Missing required environment variables: FRESHCHAT_API_KEY, OPENAI_API_KEY, ASSISTANT_ID');
 }
 
 const openai = new OpenAI({ 
@@ -37,153 +144,406 @@ const openai = new OpenAI({
   project: process.env.OPENAI_PROJECT_ID
 });
 
-// Store conversation threads
-const conversationThreads = new Map();
+// Persistent state (survives restarts, shareable between replicas with Redis)
+const stateStore = createStateStore({
+  type: STATE_STORE,
+  filePath: process.env.STATE_FILE,
+  redisUrl: process.env.REDIS_URL,
+  keyPrefix: process.env.STATE_KEY_PREFIX
+});
 
-// Store conversations that have been escalated (bot should NOT respond)
-const escalatedConversations = new Set();
+// Every Freshchat API call goes through this client (retries, circuit breaker)
+const freshchat = createFreshchatClient({
+  baseUrl: FRESHCHAT_API_URL,
+  apiKey: FRESHCHAT_API_KEY,
+  timeoutMs: FRESHCHAT_TIMEOUT_MS,
+  maxRetries: FRESHCHAT_MAX_RETRIES,
+  breaker: createCircuitBreaker({
+    failureThreshold: FRESHCHAT_BREAKER_THRESHOLD,
+    resetTimeoutMs: FRESHCHAT_BREAKER_RESET_MS
+  })
+});
 
-function log(emoji, message, data = null) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${emoji} ${message}`);
-  if (data) console.log(JSON.stringify(data, null, 2));
-}
+// Outbound messages Freshchat could not accept, re-sent in order later
+const outbox = createOutbox({
+  store: stateStore,
+  send: (conversationId, payload) => freshchat.post(`/conversations/${conversationId}/messages`, payload),
+  // Outbox entries are POSTs: one that may have reached Freshchat is not re-sent
+  isRetryable: error => freshchat.isRetryable(error, 'post'),
+  maxAttempts: OUTBOX_MAX_ATTEMPTS,
+  retryBaseMs: OUTBOX_FLUSH_INTERVAL_MS
+});
 
-function stripCitations(text) {
-  if (!text || typeof text !== 'string') {
-    return text;
+// Conversation threads: conversationId -> OpenAI thread id
+const conversationThreads = {
+  get: conversationId => stateStore.get('threads', conversationId),
+  set: (conversationId, threadId) => stateStore.set('threads', conversationId, threadId),
+  delete: conversationId => stateStore.delete('threads', conversationId),
+  count: () => stateStore.count('threads'),
+  // On escalation the thread is set aside (with the handoff summary) so the
+  // bot can pick it up again after the conversation returns
+  archive: async (conversationId, details = {}) => {
+    const threadId = await stateStore.get('threads', conversationId);
+    if (!threadId) return null;
+    await stateStore.set('thread_archive', conversationId, {
+      thread_id: threadId,
+      archived_at: new Date().toISOString(),
+      ...details
+    });
+    await stateStore.delete('threads', conversationId);
+    return threadId;
+  },
+  getArchived: conversationId => stateStore.get('thread_archive', conversationId),
+  deleteArchived: conversationId => stateStore.delete('thread_archive', conversationId)
+};
+
+// Conversations that have been escalated (bot should NOT respond)
+const escalatedConversations = {
+  has: conversationId => stateStore.has('escalations', conversationId),
+  get: conversationId => stateStore.get('escalations', conversationId),
+  add: (conversationId, { reason, ruleId, detail, priority } = {}, target = {}) => stateStore.set('escalations', conversationId, {
+    escalatedAt: new Date().toISOString(),
+    reason: reason || 'unspecified',
+    rule_id: ruleId || null,
+    detail: detail || null,
+    priority: priority || null,
+    assigned_agent_id: target.agentId || null,
+    assigned_group_id: target.groupId || null,
+    pool: target.pool || null
+  }),
+  // Put back an escalation removed for a return to bot that then failed
+  restore: (conversationId, escalation) => stateStore.set('escalations', conversationId, escalation),
+  delete: conversationId => stateStore.delete('escalations', conversationId),
+  list: () => stateStore.list('escalations'),
+  count: () => stateStore.count('escalations')
+};
+
+// What we know about each conversation (Freshchat channel/topic, language)
+const conversationProfiles = {
+  get: async conversationId => (await stateStore.get('conversations', conversationId)) || {},
+  update: async (conversationId, fields) => {
+    const current = (await stateStore.get('conversations', conversationId)) || {};
+    return stateStore.set('conversations', conversationId, { ...current, ...fields });
   }
+};
 
-  let cleaned = text;
-
-  const inlinePatterns = [
-    /\[\^\d+\^\]/g,                  // OpenAI footnote markers like [^1^]
-    /\[\d+\]/g,                      // Simple numeric citations like [1]
-    /【\d+(?::\d+)?(?:†[^】]*)?】/g,   // Retrieval style citations (incl. section ids)
-    /\(Source:[^)]+\)/gi             // Parenthetical source notes
-  ];
+// What was said and done in each conversation, kept for TRANSCRIPT_RETENTION_DAYS
+const transcripts = createTranscriptStore({ store: stateStore, retentionDays: TRANSCRIPT_RETENTION_DAYS });
 
-  inlinePatterns.forEach(pattern => {
-    cleaned = cleaned.replace(pattern, '');
-  });
+// Satisfaction surveys after idle bot conversations or a return to the bot
+const csatSurveys = createCsatSurvey({
+  store: stateStore,
+  idleMs: CSAT_IDLE_MINUTES * 60 * 1000,
+  responseWindowMs: CSAT_RESPONSE_WINDOW_MINUTES * 60 * 1000,
+  cooldownMs: CSAT_COOLDOWN_HOURS * 60 * 60 * 1000
+});
 
-  // Remove footnote sections that may be appended at the end
-  cleaned = cleaned.replace(/^\s*\[\^\d+\^\]:.*$/gm, '');
-  cleaned = cleaned.replace(/^\s*【\d+(?::\d+)?(?:†[^】]*)?】.*$/gm, '');
+// Decides when to hand a conversation to a human (rules from ESCALATION_POLICY_FILE)
+const escalationPolicy = createEscalationPolicy({
+  policy: loadPolicyFile(ESCALATION_POLICY_FILE),
+  store: stateStore
+});
 
-  // Collapse redundant whitespace introduced by removals
-  cleaned = cleaned.replace(/[ \t]{2,}/g, ' ');
-  cleaned = cleaned.replace(/\s+\n/g, '\n').trim();
+// Reply formatters by name (whatsapp, plain, markdown, html) and per-channel
+// output settings (CHANNELS_FILE)
+const replyFormatters = createFormatterRegistry();
+const channelConfig = loadChannelConfig(CHANNELS_FILE, replyFormatters.names());
 
-  return cleaned;
+// Output settings for the conversation's channel (default channel if unknown)
+async function getChannelSettings(conversationId) {
+  const profile = await conversationProfiles.get(conversationId);
+  const channel = profile.channel || channelConfig.defaultChannel;
+  return { channel, ...channelConfig.channels[channel] };
 }
 
-function formatForWhatsApp(text) {
-  if (!text || typeof text !== 'string') {
-    return text;
-  }
-
-  let formatted = text.trim();
-
-  // Remove markdown emphasis markers that WhatsApp may not render
-  formatted = formatted.replace(/\*\*(.*?)\*\*/g, '$1');
-  formatted = formatted.replace(/\*(.*?)\*/g, '$1');
-  formatted = formatted.replace(/__(.*?)__/g, '$1');
-  formatted = formatted.replace(/_(.*?)_/g, '$1');
-  formatted = formatted.replace(/`([^`]+)`/g, '$1');
-
-  // Convert headings to uppercase lines for clearer separation
-  formatted = formatted.replace(/^#+\s*(.*)$/gm, (_, title) => title.toUpperCase());
-
-  // Normalize bullet symbols
-  formatted = formatted.replace(/^[\u2022•▪◦]\s*/gm, '- ');
-
-  // Collapse excessive blank lines
-  formatted = formatted.replace(/\n{3,}/g, '\n\n');
-
-  // Trim residual whitespace around lines
-  formatted = formatted
-    .split('\n')
-    .map(line => line.trimEnd())
-    .join('\n')
-    .trim();
+// Assistant markdown -> what the channel renders; `sources` are citation
+// links for channels with citations: links
+function formatReply(text, settings, sources = []) {
+  return replyFormatters.format(settings.formatter, applyCitations(text, settings.citations, sources));
+}
 
-  return formatted;
+// Freshchat agent the conversation is currently assigned to, if any
+async function getAssignedAgentId(conversationId) {
+  const response = await freshchat.get(`/conversations/${conversationId}`, { timeout: 5000 });
+  return response.data.assigned_agent_id || null;
 }
 
 // Check if conversation is assigned to human agent
 async function isConversationWithHuman(conversationId) {
   try {
-    const response = await axios.get(
-      `${FRESHCHAT_API_URL}/conversations/${conversationId}`,
-      {
-        headers: {
-          'Authorization': `Bearer ${FRESHCHAT_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 5000
-      }
-    );
-
-    const conversation = response.data;
-    const assignedAgentId = conversation.assigned_agent_id;
+    const assignedAgentId = await getAssignedAgentId(conversationId);
     
-    log('🔍', `Conversation ${conversationId} assigned to agent: ${assignedAgentId}`);
-    log('🤖', `Bot agent ID: ${BOT_AGENT_ID}`);
-    log('👤', `Human agent ID: ${HUMAN_AGENT_ID}`);
+    logger.debug('Fetched conversation assignment', {
+      assigned_agent_id: assignedAgentId,
+      bot_agent_id: BOT_AGENT_ID,
+      human_agent_id: HUMAN_AGENT_ID
+    });
 
     // If assigned to human agent OR not assigned to bot, consider it "with human"
     if (assignedAgentId && assignedAgentId !== BOT_AGENT_ID) {
-      log('👨‍💼', `Conversation is with human agent (${assignedAgentId})`);
+      logger.info('Conversation is with human agent', { assigned_agent_id: assignedAgentId });
       return true;
     }
 
     // If conversation is in escalated list
-    if (escalatedConversations.has(conversationId)) {
-      log('🚨', 'Conversation is in escalated list');
+    if (await escalatedConversations.has(conversationId)) {
+      logger.info('Conversation is in escalated list');
       return true;
     }
 
-    log('🤖', 'Conversation is still with bot');
+    logger.debug('Conversation is still with bot');
     return false;
 
   } catch (error) {
-    log('❌', 'Error checking conversation assignment:', error.message);
-    // If we can't check, assume it's safe to respond
-    return false;
+    logger.error('Error checking conversation assignment', { conversation_id: conversationId, error });
+    // If we can't check, stay quiet rather than talk over a human agent
+    return true;
+  }
+}
+
+// Try each routing target in order until a reassignment PUT succeeds
+async function assignToFirstAvailable(conversationId, targets) {
+  for (const target of targets) {
+    const assignment = target.agentId
+      ? { assigned_agent_id: target.agentId, status: 'assigned' }
+      : { status: 'new' };
+    if (target.groupId) {
+      assignment.assigned_group_id = target.groupId;
+    }
+
+    try {
+      const response = await freshchat.put(`/conversations/${conversationId}`, assignment);
+
+      logger.info('Conversation reassigned to human agent', {
+        conversation_id: conversationId,
+        pool: target.pool,
+        assigned_agent_id: target.agentId,
+        assigned_group_id: target.groupId
+      });
+      logger.debug('Freshchat response', { data: response.data });
+      return target;
+
+    } catch (error) {
+      logger.warn('Assignment failed, trying next target', {
+        conversation_id: conversationId,
+        pool: target.pool,
+        assigned_agent_id: target.agentId,
+        assigned_group_id: target.groupId,
+        status: error.response?.status,
+        error
+      });
+    }
+  }
+
+  return null;
+}
+
+// Routing targets for a conversation, based on its profile and the reason;
+// `rotate: false` leaves the round-robin cursors alone
+async function getRoutingTargets(conversationId, reason, { rotate = true } = {}) {
+  const profile = await conversationProfiles.get(conversationId);
+  return escalationRouter.candidates({
+    reason,
+    language: profile.language,
+    topic: profile.channel_id
+  }, { rotate });
+}
+
+// Check if a Freshchat agent is currently available to take chats
+async function isAgentAvailable(agentId) {
+  try {
+    const response = await freshchat.get(`/agents/${agentId}`, { timeout: 5000 });
+
+    const status = response.data?.availability_status;
+    return !status || String(status).toLowerCase() === 'available';
+
+  } catch (error) {
+    // Don't block escalation when availability can't be checked
+    logger.warn('Could not check agent availability', { agent_id: agentId, error });
+    return true;
+  }
+}
+
+// Drop agent targets that are offline (group targets are left to Freshchat)
+async function filterAvailableTargets(targets) {
+  if (!AGENT_AVAILABILITY_CHECK) return targets;
+
+  const available = [];
+  for (const target of targets) {
+    if (!target.agentId || await isAgentAvailable(target.agentId)) {
+      available.push(target);
+    }
+  }
+  return available;
+}
+
+// Targets with someone available right now. The round-robin rotation only
+// moves when an assignment will actually be attempted.
+async function getAvailableTargets(conversationId, reason) {
+  const available = await filterAvailableTargets(await getRoutingTargets(conversationId, reason, { rotate: false }));
+  if (available.length === 0) return [];
+  return filterAvailableTargets(await getRoutingTargets(conversationId, reason));
+}
+
+// Queue the handoff for later and let the customer know when to expect a human
+async function deferHandoff(conversationId, decision, cause) {
+  await deferredHandoffs.add(conversationId, decision, cause);
+  metrics.deferredHandoffs.inc({ cause });
+
+  const nextOpening = businessCalendar.describeNextOpening();
+  logger.info('Handoff deferred', {
+    conversation_id: conversationId,
+    cause,
+    reason: decision.reason,
+    next_opening: nextOpening
+  });
+
+  const notice = cause === 'outside_business_hours' && nextOpening
+    ? `Our team is offline right now and will be back ${nextOpening}. I'll pass your conversation to them as soon as they're available. In the meantime, I'm happy to keep helping here.`
+    : "All of our team members are busy right now. I'll pass your conversation to the next available person. In the meantime, I'm happy to keep helping here.";
+
+  await transcripts.record(conversationId, {
+    type: 'handoff_deferred',
+    actor: 'system',
+    details: { cause, reason: decision.reason || null, next_opening: nextOpening || null }
+  });
+  await sendFreshchatMessage(conversationId, notice);
+}
+
+// Escalate now if the team is on shift and someone is available, otherwise defer
+async function requestHandoff(conversationId, decision) {
+  if (!escalationRouter.isConfigured()) {
+    logger.warn('No escalation routing or HUMAN_AGENT_ID set, cannot escalate');
+    return 'failed';
+  }
+
+  // Customer was already told a human will follow up
+  if (await deferredHandoffs.has(conversationId)) {
+    return 'deferred';
+  }
+
+  if (!businessCalendar.isOpen()) {
+    await deferHandoff(conversationId, decision, 'outside_business_hours');
+    return 'deferred';
+  }
+
+  const targets = await getAvailableTargets(conversationId, decision.reason);
+  if (targets.length === 0) {
+    await deferHandoff(conversationId, decision, 'no_agent_available');
+    return 'deferred';
+  }
+
+  return (await escalateToHuman(conversationId, decision, targets)) ? 'escalated' : 'failed';
+}
+
+// Run queued handoffs once the team is on shift and an agent is available
+async function processDeferredHandoffs() {
+  if (!businessCalendar.isOpen()) return;
+
+  const pending = await deferredHandoffs.list();
+
+  for (const entry of pending) {
+    const conversationId = entry.key;
+    const { decision } = entry.value;
+
+    try {
+      // An agent may have picked the chat up in Freshchat in the meantime
+      const escalated = await escalatedConversations.has(conversationId);
+      const assignedAgentId = escalated ? null : await getAssignedAgentId(conversationId);
+      if (escalated || (assignedAgentId && assignedAgentId !== BOT_AGENT_ID)) {
+        logger.info('Dropping deferred handoff, conversation is already with a human', {
+          conversation_id: conversationId,
+          assigned_agent_id: assignedAgentId
+        });
+        await deferredHandoffs.delete(conversationId);
+        continue;
+      }
+
+      const targets = await getAvailableTargets(conversationId, decision.reason);
+      if (targets.length === 0) continue;
+
+      logger.info('Running deferred handoff', { conversation_id: conversationId, queued_at: entry.createdAt });
+      if (await escalateToHuman(conversationId, decision, targets)) {
+        await deferredHandoffs.delete(conversationId);
+      }
+    } catch (error) {
+      logger.error('Deferred handoff failed', { conversation_id: conversationId, error });
+    }
+  }
+}
+
+// Summarises the bot conversation (intent, answers given, sentiment, reason)
+// and posts it as a private note only agents can see. Never blocks escalation.
+async function postHandoffSummary(conversationId, decision) {
+  if (!HANDOFF_SUMMARY) return null;
+
+  try {
+    const summary = await handoffSummarizer.summarize({
+      threadId: await conversationThreads.get(conversationId),
+      decision
+    });
+
+    await freshchat.post(`/conversations/${conversationId}/messages`, {
+      ...messagePayload({ message_parts: [{ text: { content: formatSummaryNote(summary, decision) } }] }),
+      message_type: 'private'
+    });
+    logger.info('Posted handoff summary', { conversation_id: conversationId, sentiment: summary.sentiment });
+    return summary;
+
+  } catch (error) {
+    logger.error('Failed to post handoff summary', { conversation_id: conversationId, error });
+    return null;
   }
 }
 
 // Assign conversation to human agent (ESCALATION)
-async function escalateToHuman(conversationId) {
+async function escalateToHuman(conversationId, decision = {}, targets = null) {
+  const reason = decision.reason || 'unspecified';
+
   try {
-    if (!HUMAN_AGENT_ID) {
-      log('⚠️', 'No HUMAN_AGENT_ID set, cannot escalate');
+    if (!escalationRouter.isConfigured()) {
+      logger.warn('No escalation routing or HUMAN_AGENT_ID set, cannot escalate');
       return false;
     }
 
-    log('🚨', `Escalating conversation ${conversationId} to human agent ${HUMAN_AGENT_ID}`);
+    targets = targets || await getRoutingTargets(conversationId, reason);
 
-    // Reassign conversation to human agent
-    const response = await axios.put(
-      `${FRESHCHAT_API_URL}/conversations/${conversationId}`,
-      {
-        assigned_agent_id: HUMAN_AGENT_ID,
-        status: 'assigned'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${FRESHCHAT_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+    logger.info('Escalating conversation to human agent', {
+      conversation_id: conversationId,
+      reason,
+      rule_id: decision.ruleId,
+      priority: decision.priority,
+      targets: targets.length
+    });
 
-    log('✅', `Conversation reassigned to human agent`);
-    log('📋', 'Response:', response.data);
+    // Reassign to the first target Freshchat accepts (fallback chain)
+    const assigned = await assignToFirstAvailable(conversationId, targets);
+
+    if (!assigned) {
+      logger.error('No escalation target accepted the conversation', { conversation_id: conversationId });
+      return false;
+    }
 
     // Add to escalated list so bot stops responding
-    escalatedConversations.add(conversationId);
+    await escalatedConversations.add(conversationId, decision, assigned);
+    await escalationPolicy.reset(conversationId);
+    metrics.escalations.inc({ reason });
+
+    // Brief the agent now that someone has the conversation (a failed or
+    // retried handoff leaves no note behind)
+    const summary = await postHandoffSummary(conversationId, decision);
+    await transcripts.record(conversationId, {
+      type: 'escalation',
+      actor: 'system',
+      details: {
+        reason,
+        rule_id: decision.ruleId || null,
+        priority: decision.priority || null,
+        agent_id: assigned.agentId || null,
+        group_id: assigned.groupId || null,
+        summary: summary || null
+      }
+    });
 
     // Send notification message
     await sendFreshchatMessage(
@@ -191,394 +551,851 @@ async function escalateToHuman(conversationId) {
       "I'm connecting you with a team member who will be with you shortly. 👋"
     );
 
-    // Remove thread to start fresh with human
-    conversationThreads.delete(conversationId);
-    log('🗑️', `Removed thread for conversation ${conversationId}`);
+    // Keep the thread so the bot can resume with context after returnToBot
+    const threadId = await conversationThreads.archive(conversationId, { reason, summary });
+    logger.debug('Archived thread for conversation', { conversation_id: conversationId, thread_id: threadId });
 
     return true;
 
   } catch (error) {
-    log('❌', 'Failed to escalate conversation:', {
+    logger.error('Failed to escalate conversation', {
+      conversation_id: conversationId,
       status: error.response?.status,
       data: error.response?.data,
-      message: error.message
+      error
     });
     return false;
   }
 }
 
+// Restore the thread archived on escalation and add the agent-customer
+// messages exchanged since `since`. If the thread can't be resumed the next
+// message simply starts a new one. Whoever removes the archive does the
+// resume, so a concurrent return never injects the agent messages twice.
+async function resumeBotThread(conversationId, since = null) {
+  const archived = await conversationThreads.getArchived(conversationId);
+  if (!archived || !(await conversationThreads.deleteArchived(conversationId))) {
+    return { threadId: null, agentMessages: [] };
+  }
+
+  let agentMessages = [];
+  try {
+    agentMessages = await threadResumer.collectAgentMessages(conversationId, since || archived.archived_at);
+  } catch (error) {
+    logger.warn('Could not fetch agent conversation', { conversation_id: conversationId, error });
+  }
+
+  try {
+    if (agentMessages.length) {
+      await threadResumer.injectContext(archived.thread_id, agentMessages);
+    }
+    await conversationThreads.set(conversationId, archived.thread_id);
+    logger.info('Resumed archived thread', { conversation_id: conversationId, thread_id: archived.thread_id });
+  } catch (error) {
+    logger.error('Could not resume archived thread', { conversation_id: conversationId, thread_id: archived.thread_id, error });
+  }
+
+  return { threadId: archived.thread_id, agentMessages };
+}
+
 // Return conversation back to bot (DE-ESCALATION)
-async function returnToBot(conversationId) {
+async function returnToBot(conversationId, trigger = 'manual') {
   try {
     if (!BOT_AGENT_ID) {
-      log('⚠️', 'No BOT_AGENT_ID set, cannot return to bot');
+      logger.warn('No BOT_AGENT_ID set, cannot return to bot');
       return false;
     }
 
-    log('🔄', `Returning conversation ${conversationId} to bot agent ${BOT_AGENT_ID}`);
+    logger.info('Returning conversation to bot agent', {
+      conversation_id: conversationId,
+      bot_agent_id: BOT_AGENT_ID
+    });
+
+    // Remove from escalated list first: the reassignment below also arrives as
+    // a conversation_update webhook, which must not handle the return again
+    const escalation = await escalatedConversations.get(conversationId);
+    if (escalation && !(await escalatedConversations.delete(conversationId))) {
+      logger.info('Conversation is already being returned to bot', { conversation_id: conversationId });
+      return true;
+    }
+    logger.debug('Removed conversation from escalated list', { conversation_id: conversationId });
 
     // Reassign conversation to bot agent
-    const response = await axios.put(
-      `${FRESHCHAT_API_URL}/conversations/${conversationId}`,
-      {
+    let response;
+    try {
+      response = await freshchat.put(`/conversations/${conversationId}`, {
         assigned_agent_id: BOT_AGENT_ID,
         status: 'assigned'
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${FRESHCHAT_API_KEY}`,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+      });
+    } catch (error) {
+      // Still with the agent: keep the bot quiet
+      if (escalation) await escalatedConversations.restore(conversationId, escalation);
+      throw error;
+    }
 
-    log('✅', `Conversation reassigned to bot agent`);
-    log('📋', 'Response:', response.data);
+    logger.info('Conversation reassigned to bot agent', { conversation_id: conversationId });
+    logger.debug('Freshchat response', { data: response.data });
 
-    // Remove from escalated list so bot can respond again
-    escalatedConversations.delete(conversationId);
-    log('✅', `Removed conversation ${conversationId} from escalated list`);
+    // Pick the archived thread back up, with what the agent discussed
+    const { agentMessages } = await resumeBotThread(conversationId, escalation?.escalatedAt);
 
-    // Send welcome back message
-    await sendFreshchatMessage(
-      conversationId,
-      "I'm back! How can I help you today? 😊"
-    );
+    await escalationPolicy.reset(conversationId);
+    metrics.returnsToBot.inc({ trigger });
+    await transcripts.record(conversationId, { type: 'return_to_bot', actor: 'system', details: { trigger } });
+
+    // Welcome back, acknowledging what the agent resolved
+    await sendFreshchatMessage(conversationId, await threadResumer.welcomeBack(agentMessages));
+    await surveyAfterReturn(conversationId);
 
     return true;
 
   } catch (error) {
-    log('❌', 'Failed to return conversation to bot:', {
+    logger.error('Failed to return conversation to bot', {
+      conversation_id: conversationId,
       status: error.response?.status,
       data: error.response?.data,
-      message: error.message
+      error
     });
     return false;
   }
 }
 
-// Send message to Freshchat
-async function sendFreshchatMessage(conversationId, message) {
+// Freshchat message body sent as the bot agent
+function messagePayload(parts) {
+  return {
+    ...parts,
+    message_type: 'normal',
+    actor_type: 'agent',
+    ...(BOT_AGENT_ID && { actor_id: BOT_AGENT_ID })
+  };
+}
+
+// Send message to Freshchat, with an optional rich reply (rich_reply tool);
+// `rich: false` sends the rich reply's text rendering instead. Messages are
+// added to the transcript unless `record: false` (the caller records them).
+async function sendFreshchatMessage(conversationId, message, richReply = null, { rich = RICH_REPLIES, record = true } = {}) {
+  const recordSent = delivery => record && transcripts.record(conversationId, {
+    type: 'bot_message',
+    actor: 'bot',
+    text: toTextFallback(message, richReply),
+    details: { delivery, rich_reply: richReply?.type || null }
+  });
+
   try {
-    log('📤', `Sending message to conversation: ${conversationId}`);
-    log('📝', `Message: ${message.substring(0, 100)}...`);
-    
-    const payload = BOT_AGENT_ID ? {
-      message_parts: [{ text: { content: message } }],
-      message_type: 'normal',
-      actor_type: 'agent',
-      actor_id: BOT_AGENT_ID
-    } : {
-      message_parts: [{ text: { content: message } }],
-      message_type: 'normal',
-      actor_type: 'agent'
-    };
+    logger.info('Sending message', {
+      conversation_id: conversationId,
+      content: message,
+      rich_reply: richReply?.type || null
+    });
 
-    const response = await axios.post(
-      `${FRESHCHAT_API_URL}/conversations/${conversationId}/messages`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${FRESHCHAT_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
+    const textPayload = messagePayload({
+      message_parts: [{ text: { content: toTextFallback(message, richReply) } }]
+    });
+    // Rich parts first; if Freshchat rejects them (e.g. the channel has no
+    // interactive messages) the text rendering is sent instead
+    const payloads = richReply && rich
+      ? [messagePayload(toFreshchatParts(message, richReply)), textPayload]
+      : [textPayload];
+
+    // Keep per-conversation order: queue behind anything already waiting
+    // (with the text fallback, in case the rich parts are rejected later)
+    if (await outbox.hasPending(conversationId)) {
+      metrics.freshchatSends.inc({ result: 'queued', status_code: 'none' });
+      const outboxId = await outbox.enqueue(conversationId, payloads);
+      await recordSent('queued');
+      return { queued: true, outbox_id: outboxId };
+    }
+
+    let response;
+    for (const [index, payload] of payloads.entries()) {
+      try {
+        response = await freshchat.post(`/conversations/${conversationId}/messages`, payload);
+        break;
+      } catch (error) {
+        // Freshchat is down or throttling: keep the message for a later retry
+        // (not after a timeout: Freshchat may have posted it already)
+        if (freshchat.isRetryable(error, 'post')) {
+          metrics.freshchatSends.inc({ result: 'queued', status_code: error.response?.status || 'none' });
+          const outboxId = await outbox.enqueue(conversationId, payloads.slice(index), error);
+          await recordSent('queued');
+          return { queued: true, outbox_id: outboxId };
+        }
+        // Only an outright rejection (4xx) means the text fallback is safe to send
+        if (!(error.response?.status < 500) || index === payloads.length - 1) throw error;
+
+        logger.warn('Rich reply rejected, sending text fallback', {
+          conversation_id: conversationId,
+          status: error.response?.status
+        });
       }
-    );
-    
-    log('✅', `Message sent successfully!`);
+    }
+
+    metrics.freshchatSends.inc({ result: 'success', status_code: response.status });
+    logger.info('Message sent', { conversation_id: conversationId });
+    await recordSent('sent');
     return response.data;
-    
+
   } catch (error) {
-    log('❌', 'Failed to send message:', {
+    metrics.freshchatSends.inc({ result: 'failure', status_code: error.response?.status || 'none' });
+    logger.error('Failed to send message', {
+      conversation_id: conversationId,
       status: error.response?.status,
-      error: error.response?.data || error.message
+      data: error.response?.data,
+      error
     });
     throw error;
   }
 }
 
-// Get response from OpenAI Assistant
-async function getAssistantResponse(userMessage, threadId = null) {
-  try {
-    log('🤖', `Getting OpenAI response for: "${userMessage}"`);
-    
-    let thread;
-    if (!threadId) {
-      thread = await openai.beta.threads.create();
-      log('🆕', `Created new thread: ${thread.id}`);
+// Send an assistant reply formatted for the conversation's channel, split
+// into several messages when it is long (and the channel wants that).
+// Chunks go out in order with a short pause; a rich reply rides on the last,
+// or follows on its own when its text rendering would not fit there.
+async function sendAssistantReply(conversationId, text, richReply = null, sources = []) {
+  const settings = await getChannelSettings(conversationId);
+  const formatted = formatReply(text, settings, sources);
+  const chunks = settings.split
+    ? chunkMessage(formatted, { limit: REPLY_CHUNK_LIMIT, markers: REPLY_CHUNK_MARKERS })
+    : [formatted];
+
+  logger.debug('Formatted reply', { conversation_id: conversationId, channel: settings.channel, formatter: settings.formatter });
+  if (chunks.length > 1) {
+    logger.info('Splitting long reply', { conversation_id: conversationId, chunks: chunks.length });
+  }
+
+  const messages = chunks.map(chunk => ({ text: chunk, richReply: null }));
+  if (richReply) {
+    const last = messages[messages.length - 1];
+    // The text rendering is what gets sent when rich replies are off or rejected
+    if (!settings.split || toTextFallback(last.text, richReply).length <= REPLY_CHUNK_LIMIT) {
+      last.richReply = richReply;
     } else {
-      thread = { id: threadId };
-      log('♻️', `Using existing thread: ${threadId}`);
+      messages.push({ text: '', richReply });
     }
+  }
 
-    await openai.beta.threads.messages.create(thread.id, {
-      role: 'user',
-      content: userMessage
+  for (const [index, message] of messages.entries()) {
+    const isLast = index === messages.length - 1;
+    await sendFreshchatMessage(conversationId, message.text, message.richReply, {
+      rich: RICH_REPLIES && settings.rich,
+      record: false
     });
+    if (!isLast && REPLY_CHUNK_DELAY_MS > 0) {
+      await sleep(REPLY_CHUNK_DELAY_MS);
+    }
+  }
 
-    const run = await openai.beta.threads.runs.create(thread.id, {
-      assistant_id: ASSISTANT_ID
-    });
+  // One entry per reply: the assistant's raw text and what the customer got
+  await transcripts.record(conversationId, {
+    type: 'assistant_reply',
+    actor: 'bot',
+    text: formatted,
+    rawText: text,
+    details: {
+      channel: settings.channel,
+      formatter: settings.formatter,
+      chunks: chunks.length,
+      rich_reply: richReply || null,
+      sources: sources.map(source => ({ title: source.title, url: source.url }))
+    }
+  });
+}
 
-    log('⏳', `Waiting for assistant response (run: ${run.id})...`);
+// Ask for a 1-5 rating (quick replies where the channel supports them); the
+// customer's next message is read as the answer
+async function askForRating(conversationId, trigger) {
+  const settings = await getChannelSettings(conversationId);
+  await csatSurveys.start(conversationId, {
+    trigger,
+    threadId: await conversationThreads.get(conversationId),
+    channel: settings.channel
+  });
+  metrics.csatSurveys.inc({ trigger });
 
-    let runStatus = await openai.beta.threads.runs.retrieve(thread.id, run.id);
-    let attempts = 0;
-    const maxAttempts = 60;
+  const richReply = RICH_REPLIES && settings.rich
+    ? { type: 'quick_replies', title: null, options: RATING_OPTIONS }
+    : null;
+  try {
+    await sendFreshchatMessage(conversationId, CSAT_PROMPT, richReply);
+  } catch (error) {
+    await csatSurveys.dismiss(conversationId, 'failed');
+    throw error;
+  }
+}
 
-    while (runStatus.status !== 'completed' && attempts < maxAttempts) {
-      if (runStatus.status === 'failed') {
-        throw new Error(`Assistant run failed: ${runStatus.last_error?.message}`);
-      }
-      if (runStatus.status === 'expired') {
-        throw new Error('Assistant run expired');
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      runStatus = await openai.beta.threads.runs.retrieve(thread.id, run.id);
-      attempts++;
-      
-      if (attempts % 10 === 0) {
-        log('⏳', `Still waiting... (${attempts}s, status: ${runStatus.status})`);
-      }
+// Survey bot conversations that went quiet (not while a human has them)
+async function processIdleSurveys() {
+  await csatSurveys.expireStale();
+  if (!CSAT_TRIGGERS.includes('idle')) return;
+
+  for (const conversationId of await csatSurveys.dueForIdleSurvey()) {
+    try {
+      if (await escalatedConversations.has(conversationId) || await deferredHandoffs.has(conversationId)) continue;
+      await askForRating(conversationId, 'idle');
+    } catch (error) {
+      logger.error('CSAT survey failed', { conversation_id: conversationId, error });
     }
+  }
+}
 
-    if (runStatus.status !== 'completed') {
-      throw new Error(`Assistant timeout after ${attempts}s (status: ${runStatus.status})`);
+// Once a conversation is back with the bot: survey now, or restart the idle clock
+async function surveyAfterReturn(conversationId) {
+  if (!CSAT_ENABLED) return;
+
+  try {
+    if (CSAT_TRIGGERS.includes('return_to_bot') && await csatSurveys.canSurvey(conversationId)) {
+      await askForRating(conversationId, 'return_to_bot');
+    } else {
+      await csatSurveys.touch(conversationId);
     }
+  } catch (error) {
+    logger.error('CSAT survey failed', { conversation_id: conversationId, error });
+  }
+}
 
-    log('✅', `Assistant completed in ${attempts} seconds`);
+// With a survey pending, a rating is stored (with the thread and escalation
+// history) instead of going to the assistant. Anything else closes the survey
+// and is answered as usual.
+async function captureRating(conversationId, parts) {
+  if (!(await csatSurveys.pending(conversationId))) return false;
 
-    const messages = await openai.beta.threads.messages.list(thread.id);
-    const assistantMessage = messages.data
-      .filter(msg => msg.role === 'assistant')
-      .sort((a, b) => b.created_at - a.created_at)[0];
+  const score = parseRating(partsToText(parts));
+  if (score === null) {
+    await csatSurveys.dismiss(conversationId, 'skipped');
+    return false;
+  }
 
-    if (!assistantMessage) {
-      throw new Error('No assistant response found');
-    }
+  const escalations = (await transcripts.query(conversationId))
+    .filter(entry => ['escalation', 'handoff_deferred', 'return_to_bot'].includes(entry.type))
+    .map(entry => ({
+      at: entry.at,
+      type: entry.type,
+      reason: entry.details?.reason || null,
+      trigger: entry.details?.trigger || null
+    }));
+
+  await csatSurveys.answer(conversationId, score, { escalations });
+  metrics.csatRatings.inc({ score });
+  await transcripts.record(conversationId, { type: 'csat_rating', actor: 'system', details: { score } });
+  await sendFreshchatMessage(conversationId, CSAT_THANKS);
+  return true;
+}
 
-    const responseText = assistantMessage.content[0].text.value;
-    log('🤖', `Assistant said: ${responseText.substring(0, 200)}...`);
+// Picks which agents/groups receive an escalation (ESCALATION_ROUTING_FILE),
+// falling back to HUMAN_AGENT_ID
+const escalationRouter = createEscalationRouter({
+  config: loadRoutingConfig(ESCALATION_ROUTING_FILE),
+  store: stateStore,
+  fallbackAgentId: HUMAN_AGENT_ID
+});
 
-    // Check for escalation keywords
-    const escalationKeywords = [
-      'connect you with my manager',
-      'connect you with a manager',
-      'speak to my manager',
-      'talk to my manager',
-      'escalate',
-      'human agent',
-      'real person'
-    ];
+// When the human team is on shift (BUSINESS_HOURS_FILE); always open if unset
+const businessCalendar = loadBusinessCalendar(BUSINESS_HOURS_FILE);
+
+// Handoffs requested while nobody could take them; run when the team is back
+const deferredHandoffs = {
+  has: conversationId => stateStore.has('deferred_handoffs', conversationId),
+  add: (conversationId, decision, cause) => stateStore.set('deferred_handoffs', conversationId, { decision, cause }),
+  delete: conversationId => stateStore.delete('deferred_handoffs', conversationId),
+  list: () => stateStore.list('deferred_handoffs')
+};
+
+// Server-side functions exposed to the Assistant as tools
+const assistantTools = createToolRegistry();
+
+assistantTools.register('handoff_to_human', {
+  description: 'Hand the conversation over to a human team member. Use when the customer asks for a person, ' +
+    'when the request needs a human decision, or when you cannot help further.',
+  parameters: {
+    type: 'object',
+    properties: {
+      reason: {
+        type: 'string',
+        description: 'Short explanation of why a human is needed'
+      },
+      priority: {
+        type: 'string',
+        enum: ['low', 'normal', 'high', 'urgent'],
+        description: 'How urgently a human should pick this up'
+      }
+    },
+    required: ['reason']
+  },
+  // The handoff itself happens after the assistant's reply has been sent
+  handler: async ({ reason, priority = 'normal' }, context) => {
+    context.handoff = { reason, priority };
+    return { status: 'handoff_scheduled' };
+  }
+});
 
-    const needsEscalation = escalationKeywords.some(keyword => 
-      responseText.toLowerCase().includes(keyword.toLowerCase())
-    );
+assistantTools.register('rich_reply', {
+  description: 'Attach interactive elements to your reply: quick replies, reply buttons, a list menu, ' +
+    'link buttons or an image. Write your answer as usual; these are shown with it. Call at most once per reply.',
+  parameters: RICH_REPLY_PARAMETERS,
+  // Validated here so the assistant gets an error it can correct
+  handler: async (args, context) => {
+    context.richReply = normalizeRichReply(args);
+    return { status: 'attached', type: context.richReply.type };
+  }
+});
+
+// Answers user turns through the Assistants API (threads and runs) or the
+// Responses API (ASSISTANT_PROVIDER); nothing else depends on which
+const assistantProvider = createAssistantProvider({
+  type: ASSISTANT_PROVIDER,
+  openai,
+  toolRegistry: assistantTools,
+  store: stateStore,
+  // assistants: runs streamed (polling fallback), cancelled after ASSISTANT_RUN_TIMEOUT_MS
+  run: {
+    mode: ASSISTANT_RUN_MODE,
+    timeoutMs: ASSISTANT_RUN_TIMEOUT_MS,
+    pollInitialMs: ASSISTANT_POLL_INITIAL_MS,
+    pollMaxMs: ASSISTANT_POLL_MAX_MS
+  },
+  // responses: history kept here, system prompt and vector stores from config
+  model: RESPONSES_MODEL,
+  instructions: RESPONSES_INSTRUCTIONS,
+  instructionsFile: RESPONSES_INSTRUCTIONS_FILE,
+  vectorStoreIds: RESPONSES_VECTOR_STORE_IDS,
+  maxHistory: RESPONSES_MAX_HISTORY,
+  retentionDays: TRANSCRIPT_RETENTION_DAYS,
+  timeoutMs: ASSISTANT_RUN_TIMEOUT_MS
+});
+
+// Voice notes -> text (STT_PROVIDER: openai, none or a module path)
+const transcriber = createTranscriber({ provider: STT_PROVIDER, openai, model: STT_MODEL });
+
+// Downloads inbound attachments and turns them into Assistant input; the
+// uploads are deleted from OpenAI after MEDIA_RETENTION_DAYS
+const mediaProcessor = createMediaProcessor({
+  freshchat,
+  openai,
+  transcriber,
+  store: stateStore,
+  maxBytes: MEDIA_MAX_BYTES,
+  retentionDays: MEDIA_RETENTION_DAYS
+});
+
+// Brings the bot back up to speed after a human agent hands a conversation back
+const threadResumer = createThreadResumer({
+  openai,
+  provider: assistantProvider,
+  freshchat,
+  botAgentId: BOT_AGENT_ID,
+  model: HANDOFF_SUMMARY_MODEL
+});
 
-    if (needsEscalation) {
-      log('🚨', 'ESCALATION KEYWORD DETECTED in response!');
+// Writes the agent briefing posted as a private note on escalation
+const handoffSummarizer = createHandoffSummarizer({ openai, provider: assistantProvider, model: HANDOFF_SUMMARY_MODEL });
+
+// Resolves cited file ids to titles/URLs (SOURCES_FILE mapping, else filenames)
+const sourceResolver = createSourceResolver({ openai, mapping: loadSourceMapping(SOURCES_FILE) });
+const citationLog = createCitationLog({ store: stateStore, retentionDays: TRANSCRIPT_RETENTION_DAYS });
+
+// Which assistant answers each conversation (ASSISTANTS_FILE: by language,
+// channel/topic or classified intent); ASSISTANT_ID when not configured
+const assistantConfig = loadAssistantConfig(ASSISTANTS_FILE, ASSISTANT_ID, {
+  requireIds: ASSISTANT_PROVIDER === 'assistants'
+});
+const assistantRouter = createAssistantRouter({
+  config: assistantConfig,
+  store: stateStore,
+  classifyIntent: assistantConfig.intents && createIntentClassifier({
+    openai,
+    labels: assistantConfig.intents.labels,
+    model: assistantConfig.intents.model
+  })
+});
+
+// Tell the assistant taking over that it is joining an ongoing conversation
+async function noteAssistantSwitch(threadId, switched) {
+  await assistantProvider.addNote(threadId,
+    `[Context, not from the customer] This conversation has been transferred to you from the ` +
+    `"${switched.from}" assistant. Everything above is the conversation so far; continue from there ` +
+    'without greeting the customer again.');
+}
+
+// Assistant for this turn (sticky per thread; may switch on a switch rule)
+async function routeAssistant(conversationId, threadId, text) {
+  const profile = await conversationProfiles.get(conversationId);
+  const route = await assistantRouter.route(conversationId, {
+    threadId,
+    text,
+    context: { language: profile.language, channel: profile.channel, topic: profile.channel_id }
+  });
+
+  if (route.switched) {
+    metrics.assistantSwitches.inc({ from: route.switched.from, to: route.switched.to });
+    await transcripts.record(conversationId, { type: 'assistant_switch', actor: 'system', details: route.switched });
+    if (threadId) {
+      await noteAssistantSwitch(threadId, route.switched);
+    }
+  }
+  return route;
+}
+
+// Get response from the assistant provider; userMessage is plain text or a
+// turn prepared by mediaProcessor ({ text, images, files }); context.assistant
+// is the routed assistant's settings (the default assistant otherwise)
+async function getAssistantResponse(userMessage, threadId = null, context = {}) {
+  try {
+    const turn = typeof userMessage === 'string'
+      ? { text: userMessage, images: [], files: [] }
+      : userMessage;
+    logger.info('Requesting assistant response', { content: turn.text, provider: assistantProvider.type });
+
+    const assistant = context.assistant || assistantConfig.assistants[assistantConfig.defaultName];
+    const { text: responseText, annotations, messageId, threadId: replyThreadId } =
+      await assistantProvider.respond({ threadId, turn, assistant, context });
+    logger.info('Assistant responded', { assistant_id: assistant.id, response: responseText });
+
+    // Cited files -> titles/URLs for the reply; raw annotations kept for audit
+    const sources = await sourceResolver.resolve(annotations);
+    if (annotations.length) {
+      logger.info('Assistant citations', {
+        citations: annotations.map(annotation => ({
+          text: annotation.text,
+          type: annotation.type,
+          file_id: annotation.file_citation?.file_id || annotation.file_path?.file_id || null
+        }))
+      });
+      if (context.conversationId) {
+        await citationLog.record(context.conversationId, {
+          threadId: replyThreadId,
+          messageId,
+          annotations,
+          sources
+        });
+      }
     }
 
     return {
       response: responseText,
-      threadId: thread.id,
-      needsEscalation
+      threadId: replyThreadId,
+      handoff: context.handoff || null,
+      richReply: context.richReply || null,
+      sources
     };
 
   } catch (error) {
-    log('❌', 'OpenAI error:', error.message);
+    logger.error('OpenAI error', { error });
     throw error;
   }
 }
 
-// Process message asynchronously
-async function processMessage(conversationId, messageContent) {
+// Escalation decision for a handoff_to_human tool call
+function handoffDecision(handoff) {
+  return {
+    reason: 'assistant_handoff',
+    ruleId: 'handoff_to_human',
+    detail: handoff.reason,
+    priority: handoff.priority
+  };
+}
+
+// Escalate because a policy rule fired or the assistant requested a handoff
+async function triggerEscalation(conversationId, decision) {
+  logger.warn('Escalation triggered', {
+    conversation_id: conversationId,
+    reason: decision.reason,
+    rule_id: decision.ruleId
+  });
+  
+  const status = await requestHandoff(conversationId, decision);
+  
+  if (status === 'escalated') {
+    logger.info('Successfully escalated to human agent', { conversation_id: conversationId });
+  } else if (status === 'deferred') {
+    logger.info('Escalation deferred - bot will keep answering', { conversation_id: conversationId });
+  } else {
+    logger.error('Escalation failed - bot will continue', { conversation_id: conversationId });
+  }
+
+  return status;
+}
+
+// Process one user turn (the message parts of one or more merged messages)
+async function processMessage(conversationId, parts) {
   try {
-    log('🔄', '═'.repeat(70));
-    log('🔄', `Processing conversation: ${conversationId}`);
-    log('💬', `User message: "${messageContent}"`);
+    logger.info('Processing conversation', { conversation_id: conversationId, content: partsToText(parts) });
 
     // CRITICAL CHECK: Is this conversation with a human?
     const isWithHuman = await isConversationWithHuman(conversationId);
     
     if (isWithHuman) {
-      log('🛑', '═'.repeat(70));
-      log('🛑', 'STOPPING: Conversation is with human agent');
-      log('🛑', 'Bot will NOT respond');
-      log('🛑', '═'.repeat(70));
+      logger.info('Conversation is with human agent - bot will not respond', { conversation_id: conversationId });
       return; // EXIT - Don't respond
     }
 
-    log('🤖', 'Conversation is with bot - proceeding with AI response');
-    log('🔄', '═'.repeat(70));
+    logger.debug('Conversation is with bot - proceeding with AI response');
+
+    // Answer to a satisfaction survey, not a question for the assistant
+    if (CSAT_ENABLED && await captureRating(conversationId, parts)) {
+      return;
+    }
+
+    // Download attachments, transcribe voice notes
+    const turn = await mediaProcessor.prepare(parts);
+
+    // User-input rules can hand over before the assistant is asked; if the
+    // handoff failed or was deferred the assistant still answers
+    const userDecision = await escalationPolicy.checkUserMessage(conversationId, turn.text);
+    if (userDecision && await triggerEscalation(conversationId, userDecision) === 'escalated') {
+      return;
+    }
 
     // Get existing thread or create new one
-    let threadId = conversationThreads.get(conversationId);
+    let threadId = await conversationThreads.get(conversationId);
+    const assistant = await routeAssistant(conversationId, threadId, turn.text);
 
     // Get OpenAI response
-    const { response, threadId: newThreadId, needsEscalation } = 
-      await getAssistantResponse(messageContent, threadId);
+    const { response, threadId: newThreadId, handoff, richReply, sources } = 
+      await getAssistantResponse(turn, threadId, { conversationId, assistant: assistant.settings });
 
     // Save thread for this conversation
-    conversationThreads.set(conversationId, newThreadId);
-    log('💾', `Saved thread ${newThreadId} for conversation ${conversationId}`);
+    await conversationThreads.set(conversationId, newThreadId);
+    await assistantRouter.attachThread(conversationId, newThreadId);
+    logger.debug('Saved thread for conversation', { conversation_id: conversationId, thread_id: newThreadId });
 
     // Send response to Freshchat
-    const cleanedResponse = formatForWhatsApp(stripCitations(response));
-    await sendFreshchatMessage(conversationId, cleanedResponse);
-
-    // Handle escalation if needed
-    if (needsEscalation) {
-      log('🚨', '═'.repeat(70));
-      log('🚨', 'ESCALATION TRIGGERED!');
-      log('🚨', '═'.repeat(70));
-      
-      const escalated = await escalateToHuman(conversationId);
-      
-      if (escalated) {
-        log('✅', 'Successfully escalated to human agent');
-      } else {
-        log('❌', 'Escalation failed - bot will continue');
-      }
+    await sendAssistantReply(conversationId, response, richReply, sources);
+    if (CSAT_ENABLED) {
+      await csatSurveys.touch(conversationId, newThreadId);
+    }
+
+    // Handle escalation if needed (an explicit handoff tool call wins over policy rules)
+    const policyDecision = await escalationPolicy.checkAssistantReply(conversationId, response);
+    const replyDecision = handoff ? handoffDecision(handoff) : policyDecision;
+    if (replyDecision) {
+      await triggerEscalation(conversationId, replyDecision);
     }
 
-    log('✅', '═'.repeat(70));
-    log('✅', `Successfully processed conversation ${conversationId}`);
-    log('✅', '═'.repeat(70));
+    logger.info('Successfully processed conversation', { conversation_id: conversationId });
 
   } catch (error) {
-    log('💥', '═'.repeat(70));
-    log('💥', `Error processing conversation ${conversationId}`);
-    log('💥', 'Error:', error.message);
-    log('💥', 'Stack:', error.stack);
-    log('💥', '═'.repeat(70));
+    metrics.processingErrors.inc();
+    logger.error('Error processing conversation', { conversation_id: conversationId, error });
     
     // Try to send error message to user
     try {
-      await sendFreshchatMessage(
-        conversationId,
-        "I apologize, but I'm having trouble processing your request. A team member will assist you shortly."
-      );
+      const failureDecision = await escalationPolicy.recordFailure(conversationId);
       
-      // Escalate on error
-      if (HUMAN_AGENT_ID) {
-        await escalateToHuman(conversationId);
+      // Escalate once the repeated-failure rule fires
+      if (failureDecision && escalationRouter.isConfigured()) {
+        await sendFreshchatMessage(
+          conversationId,
+          "I apologize, but I'm having trouble processing your request."
+        );
+        await triggerEscalation(conversationId, failureDecision);
+      } else {
+        await sendFreshchatMessage(
+          conversationId,
+          "I apologize, but I'm having trouble processing your request. Could you please send your message again?"
+        );
       }
     } catch (fallbackError) {
-      log('❌', 'Failed to send error message:', fallbackError.message);
+      logger.error('Failed to send error message', { conversation_id: conversationId, error: fallbackError });
     }
   }
 }
 
+// Remembers recently seen webhook events so Freshchat retries are ignored;
+// with STATE_STORE=redis the replicas share what they have seen
+const webhookDedupe = createDedupeCache({
+  ttlMs: WEBHOOK_DEDUPE_TTL_SECONDS * 1000,
+  maxEntries: WEBHOOK_DEDUPE_MAX_ENTRIES,
+  store: stateStore.type === 'redis' ? stateStore : null
+});
+
+// Rejects unsigned, tampered or replayed webhooks before any processing
+const verifyWebhook = createWebhookVerifier({
+  publicKey: WEBHOOK_PUBLIC_KEY,
+  maxAgeSeconds: WEBHOOK_MAX_AGE_SECONDS
+});
+
+// One assistant turn at a time per conversation; bursts are merged when
+// MESSAGE_DEBOUNCE_MS is set
+const messageQueue = createConversationQueue({
+  debounceMs: MESSAGE_DEBOUNCE_MS,
+  handler: (conversationId, messages) => logger.withContext(
+    {
+      correlation_id: messages.map(message => message.correlationId).join(','),
+      conversation_id: conversationId
+    },
+    () => processMessage(conversationId, messages.flatMap(message => message.parts))
+  )
+});
+
 // Webhook handler for Freshchat
-app.post('/freshchat-webhook', async (req, res) => {
+app.post('/freshchat-webhook', verifyWebhook, async (req, res) => {
   // IMMEDIATELY respond to avoid timeout
   res.status(200).json({ success: true });
   
-  log('📥', '═'.repeat(70));
-  log('📥', 'WEBHOOK RECEIVED');
-  log('📥', '═'.repeat(70));
-  log('📋', 'Full webhook body:', req.body);
+  // Every log line from here on (including queued processing) carries this id
+  const correlationId = req.get('x-request-id') || crypto.randomUUID();
   
-  try {
-    const { actor, action, data } = req.body;
+  await logger.withContext({ correlation_id: correlationId }, async () => {
+    logger.info('Webhook received');
+    logger.debug('Full webhook body', { body: req.body });
+  
+    try {
+      const { actor, action, data } = req.body;
+      
+      metrics.webhooksReceived.inc({
+        action: action || 'unknown',
+        actor_type: actor?.actor_type || 'unknown'
+      });
     
-    log('📋', 'Extracted:', {
-      action,
-      actor_type: actor?.actor_type,
-      actor_id: actor?.actor_id,
-      has_data: !!data,
-      has_message: !!data?.message,
-      has_conversation: !!data?.conversation
-    });
+      // Skip redelivered events (same message id or identical payload)
+      const eventKey = getEventKey(req.body, req.rawBody);
+      if (await webhookDedupe.isDuplicate(eventKey, action)) {
+        logger.info('Duplicate webhook ignored', { event_key: eventKey, dedupe: webhookDedupe.stats() });
+        return;
+      }
+    
+      logger.info('Webhook extracted', {
+        action,
+        actor_type: actor?.actor_type,
+        actor_id: actor?.actor_id,
+        has_data: !!data,
+        has_message: !!data?.message,
+        has_conversation: !!data?.conversation
+      });
     
-    // Handle conversation assignment changes (return to bot)
-    if (action === 'conversation_update' && data?.conversation) {
-      const conversationId = data.conversation.id || data.conversation.conversation_id;
-      const assignedAgentId = data.conversation.assigned_agent_id;
+      // Handle conversation assignment changes (return to bot)
+      if (action === 'conversation_update' && data?.conversation) {
+        const conversationId = data.conversation.id || data.conversation.conversation_id;
+        const assignedAgentId = data.conversation.assigned_agent_id;
       
-      if (conversationId && assignedAgentId) {
-        log('🔄', `Conversation ${conversationId} assignment changed to: ${assignedAgentId}`);
+        const channel = detectChannel(data.conversation, channelConfig);
+        if (conversationId && channel) {
+          await conversationProfiles.update(conversationId, { channel });
+        }
+      
+        if (conversationId && assignedAgentId) {
+          logger.info('Conversation assignment changed', {
+            conversation_id: conversationId,
+            assigned_agent_id: assignedAgentId
+          });
         
-        // If conversation was escalated and is now assigned to bot, return to bot
-        if (escalatedConversations.has(conversationId) && assignedAgentId === BOT_AGENT_ID) {
-          log('✅', 'Detected conversation returned to bot - removing from escalated list');
-          escalatedConversations.delete(conversationId);
-          log('🤖', `Conversation ${conversationId} is now active with bot`);
+          // If conversation was escalated and is now assigned to bot, return to bot
+          // (returnToBot removes the escalation before reassigning, so this is
+          // a reassignment made in Freshchat; only one delivery wins the delete)
+          const escalation = assignedAgentId === BOT_AGENT_ID && await escalatedConversations.get(conversationId);
+          if (escalation && await escalatedConversations.delete(conversationId)) {
+            await resumeBotThread(conversationId, escalation.escalatedAt);
+            metrics.returnsToBot.inc({ trigger: 'reassignment' });
+            await transcripts.record(conversationId, {
+              type: 'return_to_bot',
+              actor: 'system',
+              details: { trigger: 'reassignment' }
+            });
+            await surveyAfterReturn(conversationId);
+            logger.info('Conversation returned to bot - removed from escalated list', { conversation_id: conversationId });
+          }
         }
       }
-    }
     
-    // Handle manager messages with resolution keywords
-    if (action === 'message_create' && actor?.actor_type === 'agent') {
-      const conversationId = data?.message?.conversation_id;
-      const messageContent = data?.message?.message_parts?.[0]?.text?.content;
-      const agentId = actor?.actor_id;
+      // Handle manager messages with resolution keywords
+      if (action === 'message_create' && actor?.actor_type === 'agent') {
+        const conversationId = data?.message?.conversation_id;
+        const messageContent = data?.message?.message_parts?.[0]?.text?.content;
+        const agentId = actor?.actor_id;
+
+        if (conversationId && agentId && agentId !== BOT_AGENT_ID && data.message.message_type !== 'private') {
+          await transcripts.record(conversationId, {
+            type: 'agent_message',
+            actor: 'agent',
+            text: partsToText(extractParts(data.message.message_parts)),
+            details: { agent_id: agentId, message_id: data.message.id || null }
+          });
+        }
       
-      // Check if this is a manager message (not bot) and conversation is escalated
-      if (conversationId && messageContent && agentId && agentId !== BOT_AGENT_ID) {
-        if (escalatedConversations.has(conversationId)) {
-          // Check for resolution keywords
-          const resolutionKeywords = [
-            'it seems like you are unavailable at the moment. I am closing the chat for now',
-    'Looks like you’re away at the moment, so I’ll close this chat for now. You can reopen it anytime to continue with assistance.',
-            'back to bot',
-            'return to bot',
-            'handing back',
-          ];
+        // Check if this is a manager message (not bot) and conversation is escalated
+        if (conversationId && messageContent && agentId && agentId !== BOT_AGENT_ID) {
+          if (await escalatedConversations.has(conversationId)) {
+            // Check for resolution keywords
+            const resolutionKeywords = [
+              'it seems like you are unavailable at the moment. I am closing the chat for now',
+      'Looks like you’re away at the moment, so I’ll close this chat for now. You can reopen it anytime to continue with assistance.',
+              'back to bot',
+              'return to bot',
+              'handing back',
+            ];
           
-          const messageLower = messageContent.toLowerCase();
-          const hasResolutionKeyword = resolutionKeywords.some(keyword => 
-            messageLower.includes(keyword)
-          );
+            const messageLower = messageContent.toLowerCase();
+            const hasResolutionKeyword = resolutionKeywords.some(keyword => 
+              messageLower.includes(keyword)
+            );
           
-          if (hasResolutionKeyword) {
-            log('✅', `Manager indicated resolution - returning conversation ${conversationId} to bot`);
-            returnToBot(conversationId)
-              .catch(err => log('❌', 'Failed to return to bot:', err.message));
+            if (hasResolutionKeyword) {
+              logger.info('Manager indicated resolution - returning conversation to bot', { conversation_id: conversationId });
+              returnToBot(conversationId, 'resolution_keyword')
+                .catch(error => logger.error('Failed to return to bot', { conversation_id: conversationId, error }));
+            }
           }
         }
       }
-    }
     
-    // Handle user messages (message_create event from users)
-    if (action === 'message_create' && actor?.actor_type === 'user') {
+      // Handle user messages (message_create event from users)
+      if (action === 'message_create' && actor?.actor_type === 'user') {
       
-      const conversationId = data?.message?.conversation_id;
-      const messageContent = data?.message?.message_parts?.[0]?.text?.content;
+        const conversationId = data?.message?.conversation_id;
+        const parts = extractParts(data?.message?.message_parts);
       
-      log('🔍', 'Message data:', {
-        conversationId,
-        messageContent: messageContent?.substring(0, 100),
-        has_both: !!(conversationId && messageContent)
-      });
-      
-      if (!conversationId || !messageContent) {
-        log('⚠️', 'Missing conversation ID or message content');
-        return;
-      }
+        if (!conversationId || !parts.length) {
+          logger.warn('Missing conversation ID or message content', { conversation_id: conversationId });
+          return;
+        }
 
-      log('💬', `Processing user message: "${messageContent}"`);
-      log('📍', `Conversation ID: ${conversationId}`);
+        const messageContent = partsToText(parts);
+        logger.info('User message received', {
+          conversation_id: conversationId,
+          content: messageContent,
+          part_types: parts.map(part => part.type)
+        });
+
+        const channel = detectChannel(data.message, channelConfig);
+        await conversationProfiles.update(conversationId, {
+          channel_id: data?.message?.channel_id || null,
+          ...(channel && { channel }),
+          ...(messageContent && { language: detectLanguage(messageContent) })
+        });
+
+        await transcripts.record(conversationId, {
+          type: 'user_message',
+          actor: 'user',
+          text: messageContent,
+          details: {
+            message_id: data.message.id || null,
+            channel: channel || null,
+            part_types: parts.map(part => part.type)
+          }
+        });
 
-      // Process asynchronously (don't wait)
-      processMessage(conversationId, messageContent)
-        .catch(err => log('❌', 'Async processing error:', err.message));
+        // Queue for in-order processing (don't wait)
+        messageQueue.enqueue(conversationId, { parts, correlationId });
       
-    } else if (action !== 'conversation_update' && action !== 'message_create') {
-      log('ℹ️', `Ignoring webhook: action=${action}, actor_type=${actor?.actor_type}`);
-    }
+      } else if (action !== 'conversation_update' && action !== 'message_create') {
+        logger.debug('Ignoring webhook', { action, actor_type: actor?.actor_type });
+      }
     
-  } catch (error) {
-    log('💥', 'Webhook processing error:', error.message);
-    log('💥', 'Stack:', error.stack);
-  }
+    } catch (error) {
+      logger.error('Webhook processing error', { error });
+    }
+  });
 });
 
+// Admin API: every route requires an API key with a read or operator role
+const { requireRole } = createAdminAuth({ keys: ADMIN_API_KEYS });
+const auditLog = createAuditLog({ store: stateStore, retentionDays: AUDIT_RETENTION_DAYS });
+const adminRouter = express.Router();
+
+app.use('/admin', adminRouter);
+
 // Manual test endpoint
-app.post('/test-message', async (req, res) => {
+adminRouter.post('/test-message', requireRole('operator'), async (req, res) => {
   const { conversation_id, message } = req.body;
   
   if (!conversation_id || !message) {
@@ -589,7 +1406,8 @@ app.post('/test-message', async (req, res) => {
   }
 
   try {
-    log('🧪', `Manual test: conversation=${conversation_id}`);
+    logger.info('Manual test message', { conversation_id });
+    await auditLog.record(req, 'test_message', conversation_id);
     
     // Check if with human
     const isWithHuman = await isConversationWithHuman(conversation_id);
@@ -603,31 +1421,37 @@ app.post('/test-message', async (req, res) => {
     }
 
     // Get OpenAI response
-    let threadId = conversationThreads.get(conversation_id);
-    const { response, threadId: newThreadId, needsEscalation } = 
-      await getAssistantResponse(message, threadId);
+    let threadId = await conversationThreads.get(conversation_id);
+    const assistant = await routeAssistant(conversation_id, threadId, message);
+    const { response, threadId: newThreadId, handoff, richReply, sources } = 
+      await getAssistantResponse(message, threadId, { conversationId: conversation_id, assistant: assistant.settings });
     
-    conversationThreads.set(conversation_id, newThreadId);
+    await conversationThreads.set(conversation_id, newThreadId);
+    await assistantRouter.attachThread(conversation_id, newThreadId);
     
     // Send to Freshchat
-    const cleanedResponse = formatForWhatsApp(stripCitations(response));
-    await sendFreshchatMessage(conversation_id, cleanedResponse);
+    await sendAssistantReply(conversation_id, response, richReply, sources);
     
     // Handle escalation
-    if (needsEscalation) {
-      await escalateToHuman(conversation_id);
-    }
+    const policyDecision = await escalationPolicy.checkAssistantReply(conversation_id, response);
+    const decision = handoff ? handoffDecision(handoff) : policyDecision;
+    const escalation = decision ? await triggerEscalation(conversation_id, decision) : null;
     
     res.json({
       success: true,
       conversation_id,
       response: response.substring(0, 200) + '...',
       thread_id: newThreadId,
-      escalated: needsEscalation
+      assistant: assistant.name,
+      escalated: escalation === 'escalated',
+      escalation_status: escalation,
+      escalation_reason: decision?.reason || null,
+      rich_reply: richReply?.type || null,
+      sources: sources.map(source => ({ title: source.title, url: source.url }))
     });
     
   } catch (error) {
-    log('❌', 'Test failed:', error.message);
+    logger.error('Test failed', { conversation_id, error });
     res.status(500).json({
       error: error.message,
       conversation_id
@@ -636,27 +1460,43 @@ app.post('/test-message', async (req, res) => {
 });
 
 // Reset escalation (for testing)
-app.post('/reset-escalation/:conversationId', (req, res) => {
+adminRouter.post('/reset-escalation/:conversationId', requireRole('operator'), async (req, res) => {
   const { conversationId } = req.params;
   
-  escalatedConversations.delete(conversationId);
-  conversationThreads.delete(conversationId);
-  
-  log('🔄', `Reset escalation for conversation: ${conversationId}`);
-  
-  res.json({
-    success: true,
-    message: 'Escalation reset - bot can respond again',
-    conversation_id: conversationId
-  });
+  try {
+    await auditLog.record(req, 'reset_escalation', conversationId);
+    await escalatedConversations.delete(conversationId);
+    await conversationThreads.delete(conversationId);
+    await conversationThreads.deleteArchived(conversationId);
+    await assistantRouter.forget(conversationId);
+    await escalationPolicy.reset(conversationId);
+    await deferredHandoffs.delete(conversationId);
+    await csatSurveys.forget(conversationId);
+    
+    logger.info('Reset escalation', { conversation_id: conversationId });
+    
+    res.json({
+      success: true,
+      message: 'Escalation reset - bot can respond again',
+      conversation_id: conversationId
+    });
+  } catch (error) {
+    logger.error('Error resetting escalation', { conversation_id: conversationId, error });
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      conversation_id: conversationId
+    });
+  }
 });
 
 // Manually return conversation to bot
-app.post('/return-to-bot/:conversationId', async (req, res) => {
+adminRouter.post('/return-to-bot/:conversationId', requireRole('operator'), async (req, res) => {
   const { conversationId } = req.params;
   
   try {
-    const success = await returnToBot(conversationId);
+    const success = await returnToBot(conversationId, 'admin');
+    await auditLog.record(req, 'return_to_bot', conversationId, { success });
     
     if (success) {
       res.json({
@@ -672,7 +1512,7 @@ app.post('/return-to-bot/:conversationId', async (req, res) => {
       });
     }
   } catch (error) {
-    log('❌', 'Error returning to bot:', error.message);
+    logger.error('Error returning to bot', { conversation_id: conversationId, error });
     res.status(500).json({
       success: false,
       error: error.message,
@@ -682,16 +1522,206 @@ app.post('/return-to-bot/:conversationId', async (req, res) => {
 });
 
 // View escalated conversations
-app.get('/escalated', (req, res) => {
+adminRouter.get('/escalated', requireRole('read'), async (req, res) => {
+  try {
+    const escalated = await escalatedConversations.list();
+    const deferred = await deferredHandoffs.list();
+    
+    res.json({
+      escalated_conversations: escalated.map(entry => ({
+        conversation_id: entry.key,
+        reason: entry.value?.reason || 'unspecified',
+        rule_id: entry.value?.rule_id || null,
+        detail: entry.value?.detail || null,
+        priority: entry.value?.priority || null,
+        escalated_at: entry.createdAt,
+        updated_at: entry.updatedAt
+      })),
+      count: escalated.length,
+      deferred_handoffs: deferred.map(entry => ({
+        conversation_id: entry.key,
+        reason: entry.value?.decision?.reason || 'unspecified',
+        cause: entry.value?.cause,
+        queued_at: entry.createdAt
+      })),
+      active_threads: await conversationThreads.count()
+    });
+  } catch (error) {
+    logger.error('Error listing escalations', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Audit trail of admin actions (?conversation_id=...&limit=...)
+adminRouter.get('/audit', requireRole('read'), async (req, res) => {
+  try {
+    const entries = await auditLog.list({
+      conversationId: req.query.conversation_id || null,
+      limit: parseInt(req.query.limit || '100', 10)
+    });
+    
+    res.json({ entries, count: entries.length });
+  } catch (error) {
+    logger.error('Error reading audit log', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Raw citations (annotations) behind the bot's replies in a conversation
+adminRouter.get('/citations/:conversationId', requireRole('read'), async (req, res) => {
+  try {
+    const turns = await citationLog.list(req.params.conversationId);
+    res.json({ conversation_id: req.params.conversationId, turns, count: turns.length });
+  } catch (error) {
+    logger.error('Error reading citations', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Conversation transcript export: ?format=json|csv|text&from=&to= (ISO dates).
+// Full customer conversations, so operators only (read keys are for dashboards)
+app.get('/conversations/:id/transcript', requireRole('operator'), async (req, res) => {
+  const conversationId = req.params.id;
+  const format = req.query.format || 'json';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  let range;
+  try {
+    range = parseDateRange(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const entries = await transcripts.query(conversationId, range);
+    await auditLog.record(req, 'transcript_export', conversationId, { format, entries: entries.length });
+
+    if (format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="transcript-${conversationId}.csv"`);
+      return res.type('text/csv').send(toCsv(entries));
+    }
+    if (format === 'text') {
+      return res.type('text/plain').send(toText(entries));
+    }
+
+    res.json({
+      conversation_id: conversationId,
+      from: range.from?.toISOString() || null,
+      to: range.to?.toISOString() || null,
+      entries,
+      count: entries.length
+    });
+  } catch (error) {
+    logger.error('Error exporting transcript', { conversation_id: conversationId, error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Which assistant answers a conversation, and its switch history
+adminRouter.get('/assistants/:conversationId', requireRole('read'), async (req, res) => {
+  try {
+    const route = await assistantRouter.get(req.params.conversationId);
+    res.json({
+      conversation_id: req.params.conversationId,
+      assistants: assistantRouter.names(),
+      route: route || null
+    });
+  } catch (error) {
+    logger.error('Error reading assistant route', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Move a conversation to another assistant (body: { assistant, reason }); the
+// thread is kept so the new assistant has the whole conversation
+adminRouter.post('/assistants/:conversationId/switch', requireRole('operator'), async (req, res) => {
+  const { conversationId } = req.params;
+  const { assistant, reason = 'manual' } = req.body || {};
+
+  if (!assistant || !assistantRouter.names().includes(assistant)) {
+    return res.status(400).json({
+      error: 'Unknown assistant',
+      assistants: assistantRouter.names()
+    });
+  }
+
+  try {
+    const threadId = await conversationThreads.get(conversationId);
+    const switched = await assistantRouter.switchTo(conversationId, assistant, { reason: `manual:${reason}`, threadId });
+    await auditLog.record(req, 'assistant_switch', conversationId, switched);
+
+    metrics.assistantSwitches.inc({ from: switched.from, to: switched.to });
+    await transcripts.record(conversationId, { type: 'assistant_switch', actor: 'system', details: switched });
+    if (threadId) {
+      await noteAssistantSwitch(threadId, switched);
+    }
+
+    res.json({ success: true, conversation_id: conversationId, ...switched });
+  } catch (error) {
+    logger.error('Error switching assistant', { conversation_id: conversationId, error });
+    res.status(500).json({ success: false, error: error.message, conversation_id: conversationId });
+  }
+});
+
+// Satisfaction ratings: ?from=&to= (ISO dates, by when the survey was sent)&channel=
+adminRouter.get('/csat', requireRole('read'), async (req, res) => {
+  let range;
+  try {
+    range = parseDateRange(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const surveys = await csatSurveys.list({ ...range, channel: req.query.channel || null });
+    res.json({
+      from: range.from?.toISOString() || null,
+      to: range.to?.toISOString() || null,
+      channel: req.query.channel || null,
+      ...buildCsatReport(surveys)
+    });
+  } catch (error) {
+    logger.error('Error building CSAT report', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Surveys and ratings for one conversation
+adminRouter.get('/csat/:conversationId', requireRole('read'), async (req, res) => {
+  try {
+    const surveys = await csatSurveys.list({ conversationId: req.params.conversationId });
+    res.json({ conversation_id: req.params.conversationId, surveys, count: surveys.length });
+  } catch (error) {
+    logger.error('Error reading CSAT surveys', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Prometheus metrics (scrape with a read-role bearer token)
+app.get('/metrics', requireRole('read'), async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics', { error });
+    res.status(500).end();
+  }
+});
+
+// Public health check (no configuration or stats)
+app.get('/health', (req, res) => {
   res.json({
-    escalated_conversations: Array.from(escalatedConversations),
-    count: escalatedConversations.size,
-    active_threads: conversationThreads.size
+    status: 'healthy',
+    version: '7.0.0',
+    timestamp: new Date().toISOString()
   });
 });
 
-// Health check
-app.get('/health', (req, res) => {
+// Detailed health check
+adminRouter.get('/health', requireRole('read'), async (req, res) => {
   res.json({ 
     status: 'healthy',
     version: '7.0.0',
@@ -702,17 +1732,35 @@ app.get('/health', (req, res) => {
       has_openai_key: !!OPENAI_API_KEY,
       has_assistant_id: !!ASSISTANT_ID,
       has_bot_agent_id: !!BOT_AGENT_ID,
-      has_human_agent_id: !!HUMAN_AGENT_ID
+      has_human_agent_id: !!HUMAN_AGENT_ID,
+      escalation_routing: ESCALATION_ROUTING_FILE || 'HUMAN_AGENT_ID only',
+      default_channel: channelConfig.defaultChannel,
+      assistant_provider: assistantProvider.type,
+      assistants: assistantRouter.names(),
+      assistant_run_mode: ASSISTANT_RUN_MODE,
+      assistant_run_timeout_ms: ASSISTANT_RUN_TIMEOUT_MS,
+      csat: CSAT_ENABLED ? CSAT_TRIGGERS : false,
+      business_hours: businessCalendar.configured ? businessCalendar.timezone : 'always open',
+      team_on_shift: businessCalendar.isOpen(),
+      webhook_signature_verification: !!WEBHOOK_PUBLIC_KEY,
+      state_store: stateStore.type
     },
     stats: {
-      activeThreads: conversationThreads.size,
-      escalatedConversations: escalatedConversations.size
+      activeThreads: await conversationThreads.count(),
+      escalatedConversations: await escalatedConversations.count(),
+      webhookDedupe: webhookDedupe.stats(),
+      messageQueue: messageQueue.stats(),
+      freshchatCircuit: freshchat.breakerStatus(),
+      outbox: await outbox.stats(),
+      transcripts: await transcripts.count()
     }
   });
 });
 
 // Configuration test
-app.get('/test-config', async (req, res) => {
+adminRouter.get('/test-config', requireRole('operator'), async (req, res) => {
+  await auditLog.record(req, 'test_config');
+
   const results = {
     timestamp: new Date().toISOString(),
     environment: {
@@ -736,16 +1784,7 @@ app.get('/test-config', async (req, res) => {
 
   // Test Freshchat
   try {
-    const response = await axios.get(
-      `${FRESHCHAT_API_URL}/accounts/configuration`,
-      {
-        headers: {
-          'Authorization': `Bearer ${FRESHCHAT_API_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 5000
-      }
-    );
+    await freshchat.get('/accounts/configuration', { timeout: 5000, retries: 0 });
     results.tests.freshchat = '✅ Connected';
   } catch (error) {
     results.tests.freshchat = `❌ Failed: ${error.response?.status} - ${error.message}`;
@@ -762,38 +1801,113 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: {
       webhook: 'POST /freshchat-webhook',
-      test_message: 'POST /test-message (body: {conversation_id, message})',
-      reset_escalation: 'POST /reset-escalation/:conversationId',
-      return_to_bot: 'POST /return-to-bot/:conversationId',
-      escalated: 'GET /escalated',
       health: 'GET /health',
-      test_config: 'GET /test-config'
+      metrics: 'GET /metrics (read, Prometheus text format)',
+      admin_test_message: 'POST /admin/test-message (operator, body: {conversation_id, message})',
+      admin_reset_escalation: 'POST /admin/reset-escalation/:conversationId (operator)',
+      admin_return_to_bot: 'POST /admin/return-to-bot/:conversationId (operator)',
+      admin_test_config: 'GET /admin/test-config (operator)',
+      admin_escalated: 'GET /admin/escalated (read)',
+      admin_health: 'GET /admin/health (read)',
+      admin_audit: 'GET /admin/audit (read)',
+      admin_citations: 'GET /admin/citations/:conversationId (read)',
+      transcript: 'GET /conversations/:id/transcript (operator, ?format=json|csv|text&from=&to=)',
+      admin_assistant_route: 'GET /admin/assistants/:conversationId (read)',
+      admin_assistant_switch: 'POST /admin/assistants/:conversationId/switch (operator, body: {assistant, reason})',
+      admin_csat: 'GET /admin/csat (read, ?from=&to=&channel=)',
+      admin_csat_conversation: 'GET /admin/csat/:conversationId (read)'
     },
     features: {
-      auto_escalation: 'Bot escalates to human when needed',
+      auto_escalation: 'Bot escalates to human when a configurable policy rule fires',
+      business_hours: 'Outside business hours or with no agent available, handoffs are deferred and the bot keeps helping',
+      escalation_routing: 'Escalations routed to agent pools or groups (round-robin, least-loaded, rules) with fallback',
+      streaming_runs: 'Assistant runs streamed with polling fallback; timed-out runs are cancelled',
+      handoff_tool: 'Assistant can call handoff_to_human (and other registered tools) during a run',
       auto_return: 'Conversation returns to bot when manager resolves or reassigns',
       resolution_keywords: 'Detects manager messages with resolution keywords',
-      whatsapp_formatting: 'Messages formatted for WhatsApp display'
+      thread_resume: 'After return-to-bot the archived thread resumes with the agent conversation as context',
+      handoff_summary: 'Agents get a private note summarising intent, answers given, sentiment and reason on escalation',
+      citation_sources: 'Citations resolved to source titles/links with a "Sources:" footer; raw citations kept for audit',
+      channel_formatting: 'Replies formatted per channel (WhatsApp, SMS, web markdown, HTML email) with per-channel citation handling',
+      webhook_verification: 'Freshchat webhook signatures and timestamps verified',
+      webhook_deduplication: 'Redelivered webhook events are ignored',
+      message_queue: 'Messages processed in order per conversation, bursts merged when debounced',
+      admin_api: 'Admin routes require an API key (Authorization: Bearer or X-API-Key) and are audited',
+      structured_logging: 'JSON log lines with correlation ids and PII redaction',
+      metrics: 'Prometheus metrics for webhooks, assistant runs, sends and escalations',
+      reply_chunking: 'Long replies split at paragraph, list and sentence boundaries and sent in order',
+      rich_replies: 'Assistant can attach quick replies, buttons, lists, link buttons or images (text fallback)',
+      rich_media: 'Images, documents and voice notes (transcribed) passed to the assistant with the text of the turn',
+      freshchat_resilience: 'Freshchat calls retried with backoff behind a circuit breaker; failed sends kept in a durable outbox',
+      transcripts: 'Messages, raw and formatted replies, escalations and handoffs recorded per conversation; exportable, purged after the retention period',
+      assistant_routing: 'Conversations routed to an assistant by language, channel/topic or intent, sticky per thread, with controlled switching',
+      assistant_providers: 'Assistants API (threads and runs) or Responses API (history kept here, file_search over vector stores) via ASSISTANT_PROVIDER',
+      csat: 'Optional 1-5 satisfaction survey after idle bot conversations or a return to the bot, with a reporting endpoint'
     },
-    docs: 'Send POST to /test-message to manually test'
+    docs: 'Send POST to /admin/test-message to manually test'
   });
 });
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
-  console.log('\n' + '='.repeat(70));
-  console.log('🚀 Freshchat-OpenAI Integration Server Started');
-  console.log('='.repeat(70));
-  console.log(`📍 Port: ${PORT}`);
-  console.log(`🔗 Webhook: POST /freshchat-webhook`);
-  console.log(`🧪 Test: POST /test-message`);
-  console.log(`🔄 Reset: POST /reset-escalation/:conversationId`);
-  console.log(`↩️  Return to Bot: POST /return-to-bot/:conversationId`);
-  console.log(`📊 Escalated: GET /escalated`);
-  console.log(`❤️  Health: GET /health`);
-  console.log(`🔧 Config: GET /test-config`);
-  console.log('='.repeat(70));
-  console.log('✨ Features: Auto-escalation & Auto-return to bot');
-  console.log('='.repeat(70) + '\n');
-});
+// Starts the HTTP server and background jobs. Requiring this file only builds
+// the app, so tests can drive it without listening on a fixed port.
+function start(port = PORT) {
+  const timers = [
+    // Hand over deferred conversations once the team comes online
+    setInterval(() => {
+      processDeferredHandoffs()
+        .catch(error => logger.error('Deferred handoff processing failed', { error }));
+    }, DEFERRED_HANDOFF_INTERVAL_MS).unref(),
+
+    // Re-send outbound messages that Freshchat could not accept earlier
+    setInterval(() => {
+      outbox.flush()
+        .catch(error => logger.error('Outbox flush failed', { error }));
+    }, OUTBOX_FLUSH_INTERVAL_MS).unref(),
+
+    // Drop transcript entries (and the Responses history and raw citations)
+    // older than TRANSCRIPT_RETENTION_DAYS and audit entries older than
+    // AUDIT_RETENTION_DAYS
+    setInterval(() => {
+      transcripts.purge()
+        .catch(error => logger.error('Transcript purge failed', { error }));
+      citationLog.purge()
+        .catch(error => logger.error('Citation purge failed', { error }));
+      assistantProvider.purge()
+        .catch(error => logger.error('Response history purge failed', { error }));
+      auditLog.purge()
+        .catch(error => logger.error('Audit purge failed', { error }));
+    }, TRANSCRIPT_PURGE_INTERVAL_MS).unref(),
+
+    // Delete customer images/documents uploaded to OpenAI after MEDIA_RETENTION_DAYS
+    setInterval(() => {
+      mediaProcessor.purgeUploads()
+        .catch(error => logger.error('Upload purge failed', { error }));
+    }, MEDIA_PURGE_INTERVAL_MS).unref(),
+
+    // Send satisfaction surveys to idle conversations, expire unanswered ones
+    ...(CSAT_ENABLED ? [setInterval(() => {
+      processIdleSurveys()
+        .catch(error => logger.error('CSAT survey processing failed', { error }));
+    }, CSAT_CHECK_INTERVAL_MS).unref()] : [])
+  ];
+
+  const server = app.listen(port, () => {
+    logger.info('Freshchat-OpenAI Integration Server Started', {
+      port: server.address().port,
+      webhook: 'POST /freshchat-webhook',
+      health: 'GET /health',
+      admin: '/admin (see GET / for endpoints)'
+    });
+  });
+
+  server.on('close', () => timers.forEach(clearInterval));
+  return server;
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { app, start, stateStore };
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStateStore } = require('../lib/stateStore');
+const { parseAdminKeys, createAuditLog } = require('../lib/adminAuth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('parses admin keys with their roles', () => {
+  assert.deepEqual(parseAdminKeys('grafana:0123456789abcdef0123:read, ops:fedcba9876543210fedc:operator'), [
+    { name: 'grafana', token: '0123456789abcdef0123', role: 'read' },
+    { name: 'ops', token: 'fedcba9876543210fedc', role: 'operator' }
+  ]);
+  assert.deepEqual(parseAdminKeys(''), []);
+});
+
+test('rejects the example placeholders and short tokens', () => {
+  assert.throws(() => parseAdminKeys('ops:replace_with_another_token:operator'), /"ops" must be a random secret/);
+  assert.throws(() => parseAdminKeys('ops:secret:operator'), /at least 16 characters/);
+  assert.throws(() => parseAdminKeys('ops:fedcba9876543210fedc:admin'), /Invalid ADMIN_API_KEYS entry for "ops"/);
+});
+
+test('audit log lists newest first and drops days past retention', async () => {
+  const store = createStateStore({ type: 'memory' });
+  const auditLog = createAuditLog({ store, retentionDays: 30 });
+  const req = { admin: { name: 'ops', role: 'operator' }, ip: '127.0.0.1' };
+
+  // An action recorded 40 days ago sits in that day's list
+  const old = new Date(Date.now() - 40 * DAY_MS).toISOString();
+  await store.append('audit', old.slice(0, 10), { action: 'reset_escalation', conversation_id: 'conv-1', timestamp: old });
+  await auditLog.record(req, 'return_to_bot', 'conv-1');
+  await auditLog.record(req, 'transcript_export', 'conv-2');
+
+  assert.deepEqual((await auditLog.list()).map(entry => entry.action), ['transcript_export', 'return_to_bot', 'reset_escalation']);
+  assert.deepEqual((await auditLog.list({ limit: 1 })).map(entry => entry.action), ['transcript_export']);
+  assert.deepEqual((await auditLog.list({ conversationId: 'conv-1' })).map(entry => entry.action), ['return_to_bot', 'reset_escalation']);
+
+  assert.equal(await auditLog.purge(), 1);
+  assert.deepEqual((await auditLog.list()).map(entry => entry.action), ['transcript_export', 'return_to_bot']);
+  assert.equal(await auditLog.purge(), 0);
+});
@@ -0,0 +1,198 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStateStore } = require('../lib/stateStore');
+const { createToolRegistry } = require('../lib/assistantTools');
+const { createAssistantProvider } = require('../lib/assistantProviders');
+const { extractParts, createMediaProcessor } = require('../lib/inboundMedia');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TURN = { text: 'Where is my order?', images: [], files: [] };
+
+// Records every responses.create request and answers from `replies` in order
+function fakeResponses(replies) {
+  const requests = [];
+  return {
+    requests,
+    openai: {
+      responses: {
+        create: async body => {
+          requests.push(body);
+          return { id: `resp_${requests.length}`, status: 'completed', ...replies.shift() };
+        }
+      }
+    }
+  };
+}
+
+const message = (text, annotations = []) => ({
+  type: 'message',
+  content: [{ type: 'output_text', text, annotations }]
+});
+
+function createResponsesProvider(openai, toolRegistry = createToolRegistry(), options = {}) {
+  return createAssistantProvider({
+    type: 'responses',
+    openai,
+    toolRegistry,
+    store: createStateStore({ type: 'memory' }),
+    instructions: 'Be brief.',
+    vectorStoreIds: ['vs_default'],
+    ...options
+  });
+}
+
+test('rejects an unknown provider type', () => {
+  assert.throws(() => createAssistantProvider({ type: 'completions' }), /Unknown assistant provider "completions"/);
+});
+
+test('responses provider keeps the conversation history and sends it each turn', async () => {
+  const { openai, requests } = fakeResponses([
+    { output: [message('It ships tomorrow.')] },
+    { output: [message('You are welcome.')] }
+  ]);
+  const provider = createResponsesProvider(openai);
+
+  const first = await provider.respond({ threadId: null, turn: TURN, assistant: { id: null } });
+  assert.match(first.threadId, /^rt_/);
+  assert.equal(first.text, 'It ships tomorrow.');
+  assert.equal(requests[0].instructions, 'Be brief.');
+  assert.deepEqual(requests[0].tools, [{ type: 'file_search', vector_store_ids: ['vs_default'] }]);
+
+  await provider.addNote(first.threadId, '[Context] Transferred from billing.');
+  const second = await provider.respond({
+    threadId: first.threadId,
+    turn: { text: 'Thanks', images: [], files: [] },
+    assistant: { model: 'gpt-4o', instructions: 'Be kind.', vector_store_ids: [] }
+  });
+
+  assert.equal(second.threadId, first.threadId);
+  assert.equal(requests[1].model, 'gpt-4o');
+  assert.equal(requests[1].instructions, 'Be kind.');
+  assert.deepEqual(requests[1].tools, []);
+  assert.deepEqual(requests[1].input.map(item => item.content), [
+    'Where is my order?', 'It ships tomorrow.', '[Context] Transferred from billing.', 'Thanks'
+  ]);
+  assert.deepEqual((await provider.history(first.threadId, { limit: 2 })).map(entry => entry.role), ['user', 'assistant']);
+});
+
+test('responses provider runs function calls and returns citations in Assistants shape', async () => {
+  const tools = createToolRegistry();
+  tools.register('order_status', {
+    description: 'Order status',
+    parameters: { type: 'object', properties: { order_id: { type: 'string' } } },
+    handler: async ({ order_id: orderId }, context) => ({ orderId, conversationId: context.conversationId })
+  });
+  const { openai, requests } = fakeResponses([
+    { output: [{ type: 'function_call', call_id: 'call_1', name: 'order_status', arguments: '{"order_id":"42"}' }] },
+    { output: [message('Order 42 has shipped.', [{ type: 'file_citation', index: 21, file_id: 'file_policy' }])] }
+  ]);
+  const provider = createResponsesProvider(openai, tools);
+
+  const reply = await provider.respond({ threadId: null, turn: TURN, assistant: {}, context: { conversationId: 'conv-1' } });
+
+  assert.equal(requests[0].tools[0].name, 'order_status');
+  assert.equal(requests[1].previous_response_id, 'resp_1');
+  assert.deepEqual(requests[1].input, [{
+    type: 'function_call_output',
+    call_id: 'call_1',
+    output: JSON.stringify({ orderId: '42', conversationId: 'conv-1' })
+  }]);
+  assert.equal(reply.text, 'Order 42 has shipped.【0:0†source】');
+  assert.deepEqual(reply.annotations, [
+    { type: 'file_citation', text: '【0:0†source】', file_citation: { file_id: 'file_policy' } }
+  ]);
+});
+
+test('responses provider ignores threads from the Assistants API', async () => {
+  const { openai } = fakeResponses([{ output: [message('Hi')] }]);
+  const provider = createResponsesProvider(openai);
+
+  assert.deepEqual(await provider.history('thread_abc'), []);
+  const reply = await provider.respond({ threadId: 'thread_abc', turn: TURN, assistant: {} });
+  assert.notEqual(reply.threadId, 'thread_abc');
+});
+
+test('responses provider keeps answering after the uploads of an earlier turn are purged', async () => {
+  const store = createStateStore({ type: 'memory' });
+  const deleted = new Set();
+  const { openai, requests } = fakeResponses([
+    { output: [message('That receipt is from March.')] },
+    { output: [message('Yes, it is refundable.')] }
+  ]);
+  openai.files = {
+    create: async () => ({ id: 'file-receipt' }),
+    del: async fileId => deleted.add(fileId)
+  };
+  // Like the API: a request that refers to a deleted file fails
+  const create = openai.responses.create;
+  openai.responses.create = async body => {
+    if (deleted.size && JSON.stringify(body.input).includes('file-receipt')) throw new Error('File not found');
+    return create(body);
+  };
+
+  const media = createMediaProcessor({
+    freshchat: { download: async () => ({ buffer: Buffer.from('png'), contentType: 'image/png' }) },
+    openai,
+    transcriber: { transcribe: async () => null },
+    store,
+    retentionDays: 7
+  });
+  const provider = createResponsesProvider(openai);
+
+  const turn = await media.prepare(extractParts([
+    { text: { content: 'Is this refundable?' } },
+    { image: { url: 'https://cdn.example.com/receipt.png', name: 'receipt.png' } }
+  ]));
+  const first = await provider.respond({ threadId: null, turn, assistant: {} });
+  assert.equal(requests[0].input[0].content[1].file_id, 'file-receipt');
+
+  assert.equal(await media.purgeUploads(new Date(Date.now() + 8 * DAY_MS)), 1);
+
+  const second = await provider.respond({ threadId: first.threadId, turn: { text: 'And now?', images: [], files: [] }, assistant: {} });
+  assert.equal(second.text, 'Yes, it is refundable.');
+  assert.deepEqual(requests[1].input.map(item => item.content), [
+    'Is this refundable?\n[Customer sent an image: receipt.png]', 'That receipt is from March.', 'And now?'
+  ]);
+});
+
+test('responses provider trims the history list and purges it after the retention period', async () => {
+  const store = createStateStore({ type: 'memory' });
+  const { openai, requests } = fakeResponses(['One.', 'Two.', 'Three.'].map(text => ({ output: [message(text)] })));
+  const provider = createResponsesProvider(openai, createToolRegistry(), { store, maxHistory: 2, retentionDays: 30 });
+
+  let threadId = null;
+  for (const text of ['1?', '2?', '3?']) {
+    ({ threadId } = await provider.respond({ threadId, turn: { text, images: [], files: [] }, assistant: {} }));
+  }
+
+  assert.deepEqual(requests[2].input.map(item => item.content), ['2?', 'Two.', '3?']);
+  assert.deepEqual((await store.range('response_threads', threadId)).map(entry => entry.content), ['3?', 'Three.']);
+
+  assert.equal(await provider.purge(new Date(Date.now() + 29 * DAY_MS)), 0);
+  assert.equal(await provider.purge(new Date(Date.now() + 31 * DAY_MS)), 2);
+  assert.deepEqual(await provider.history(threadId), []);
+  assert.deepEqual(await store.listKeys('response_threads'), []);
+});
+
+test('responses provider moves a thread saved whole into its history list', async () => {
+  const store = createStateStore({ type: 'memory' });
+  await store.set('response_threads', 'rt_saved', {
+    id: 'rt_saved',
+    messages: [
+      { role: 'user', content: [{ type: 'input_text', text: 'Is this refundable?' }, { type: 'input_image', file_id: 'file-old' }] },
+      { role: 'assistant', content: 'It is.' }
+    ]
+  });
+  const { openai, requests } = fakeResponses([{ output: [message('You are welcome.')] }]);
+  const provider = createResponsesProvider(openai, createToolRegistry(), { store });
+
+  assert.deepEqual((await provider.history('rt_saved')).map(entry => entry.text), ['Is this refundable?', 'It is.']);
+  await provider.respond({ threadId: 'rt_saved', turn: { text: 'Thanks', images: [], files: [] }, assistant: {} });
+
+  assert.deepEqual(requests[0].input.map(item => item.content), ['Is this refundable?', 'It is.', 'Thanks']);
+  assert.equal(await store.get('response_threads', 'rt_saved'), null);
+  assert.deepEqual((await provider.history('rt_saved')).map(entry => entry.text), [
+    'Is this refundable?', 'It is.', 'Thanks', 'You are welcome.'
+  ]);
+});
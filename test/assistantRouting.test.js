@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStateStore } = require('../lib/stateStore');
+const { loadAssistantConfig, createAssistantRouter } = require('../lib/assistantRouting');
+
+function writeConfig(config) {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'assistants-')), 'assistants.json');
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  return filePath;
+}
+
+const CONFIG = {
+  assistants: {
+    english: { id: 'asst_en' },
+    arabic: { id: 'asst_ar' },
+    sales: { id: 'asst_sales' }
+  },
+  rules: [
+    { id: 'sales-intent', match: { intent: ['sales'] }, assistant: 'sales', switch: true },
+    { id: 'arabic', match: { language: ['ar'] }, assistant: 'arabic' }
+  ],
+  intents: { labels: { sales: 'Buying', support: 'Help' } },
+  switching: { max_switches: 1 },
+  default: 'english'
+};
+
+function createRouter(intent) {
+  const config = loadAssistantConfig(writeConfig(CONFIG), 'asst_default');
+  return createAssistantRouter({
+    config,
+    store: createStateStore({ type: 'memory' }),
+    classifyIntent: async () => intent.value
+  });
+}
+
+test('uses ASSISTANT_ID for every conversation without a config file', async () => {
+  const config = loadAssistantConfig(null, 'asst_default');
+  const router = createAssistantRouter({ config, store: createStateStore({ type: 'memory' }) });
+
+  assert.equal((await router.route('conv-1', { context: { language: 'ar' } })).assistantId, 'asst_default');
+  assert.equal(router.isRouted(), false);
+});
+
+test('keeps the first choice for the life of the thread', async () => {
+  const intent = { value: 'support' };
+  const router = createRouter(intent);
+
+  assert.equal((await router.route('conv-1', { context: { language: 'ar' } })).name, 'arabic');
+  await router.attachThread('conv-1', 'thread-1');
+
+  // Language rules are not switch rules: still Arabic for this thread
+  assert.equal((await router.route('conv-1', { threadId: 'thread-1', context: { language: 'en' } })).name, 'arabic');
+
+  // A new thread is routed again
+  assert.equal((await router.route('conv-1', { threadId: 'thread-2', context: { language: 'en' } })).name, 'english');
+});
+
+test('switches on a switch rule at most max_switches times', async () => {
+  const intent = { value: 'support' };
+  const router = createRouter(intent);
+  await router.route('conv-1', { threadId: 'thread-1', context: { language: 'en' } });
+
+  intent.value = 'sales';
+  const route = await router.route('conv-1', { threadId: 'thread-1', context: { language: 'en' } });
+  assert.equal(route.name, 'sales');
+  assert.deepEqual([route.switched.from, route.switched.to], ['english', 'sales']);
+
+  await router.switchTo('conv-1', 'english', { reason: 'manual' });
+  const afterManual = await router.route('conv-1', { threadId: 'thread-1', context: { language: 'en' } });
+  assert.equal(afterManual.name, 'english', 'rules do not override an operator switch');
+  assert.equal((await router.get('conv-1')).switches.length, 2);
+});
+
+test('rejects rules that reference unknown assistants', () => {
+  assert.throws(
+    () => loadAssistantConfig(writeConfig({ rules: [{ id: 'x', assistant: 'missing' }] }), 'asst_default'),
+    /unknown assistant "missing"/
+  );
+});
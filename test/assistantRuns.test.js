@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('node:events');
+const OpenAI = require('openai');
+const { createToolRegistry } = require('../lib/assistantTools');
+const { createRunExecutor } = require('../lib/assistantRuns');
+const { createFakeOpenAI } = require('./mocks/fakeOpenAI');
+
+const fake = createFakeOpenAI();
+let server;
+let openai;
+
+before(async () => {
+  server = fake.app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  openai = new OpenAI({
+    apiKey: 'test-openai-key',
+    baseURL: `http://127.0.0.1:${server.address().port}/v1`,
+    maxRetries: 0
+  });
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function createExecutor(toolRegistry = createToolRegistry()) {
+  return createRunExecutor({ openai, toolRegistry, mode: 'stream', pollInitialMs: 5, pollMaxMs: 20 });
+}
+
+async function newThread() {
+  const thread = await openai.beta.threads.create();
+  await openai.beta.threads.messages.create(thread.id, { role: 'user', content: 'Where is my order?' });
+  return thread.id;
+}
+
+const threadRuns = threadId => fake.runs().filter(run => run.thread_id === threadId);
+
+test('streams a run through its tool calls', async () => {
+  const tools = createToolRegistry();
+  tools.register('order_status', {
+    description: 'Order status',
+    parameters: { type: 'object', properties: {} },
+    handler: async () => ({ status: 'shipped' })
+  });
+  const threadId = await newThread();
+  fake.queueRun({ reply: 'It shipped.', toolCalls: [{ name: 'order_status' }] });
+
+  const { runId, attempts } = await createExecutor(tools).execute({ threadId, assistantId: 'asst_test' });
+
+  assert.equal(attempts, 0);
+  assert.deepEqual(threadRuns(threadId).map(run => [run.id, run.status]), [[runId, 'completed']]);
+  assert.deepEqual(fake.toolOutputs.at(-1), { tool_call_id: `call_${runId}_0`, output: '{"status":"shipped"}' });
+});
+
+for (const streamBreak of ['before_created', 'after_created']) {
+  test(`polls the streamed run instead of starting another when the stream breaks ${streamBreak.replace('_', ' ')}`, async () => {
+    const threadId = await newThread();
+    fake.queueRun({ reply: 'It ships tomorrow.', statuses: ['in_progress'], streamBreak });
+
+    const { runId } = await createExecutor().execute({ threadId, assistantId: 'asst_test' });
+
+    assert.deepEqual(threadRuns(threadId).map(run => [run.id, run.status]), [[runId, 'completed']]);
+    const [reply] = fake.thread(threadId).messages.filter(message => message.role === 'assistant');
+    assert.equal(reply.content[0].text.value, 'It ships tomorrow.');
+  });
+}
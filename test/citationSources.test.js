@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStateStore } = require('../lib/stateStore');
+const { createSourceResolver, createCitationLog } = require('../lib/citationSources');
+const { applyCitations } = require('../lib/formatters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const citation = (marker, fileId) => ({ type: 'file_citation', text: marker, file_citation: { file_id: fileId } });
+
+function createResolver(mapping = { files: {}, filenames: {} }) {
+  const openai = {
+    files: {
+      retrieve: async fileId => {
+        if (fileId === 'file-missing') throw Object.assign(new Error('No such file'), { status: 404 });
+        return { id: fileId, filename: `${fileId}.pdf` };
+      }
+    }
+  };
+  return createSourceResolver({ openai, mapping });
+}
+
+test('numbers sources by file and renders them in a footer', async () => {
+  const resolver = createResolver({ files: {}, filenames: { 'file-refunds.pdf': { title: 'Refund policy', url: 'https://help.example.com/refunds' } } });
+  const text = 'Refunds take 5 days.【0:0†source】 Keep the receipt.【0:1†source】【0:2†source】';
+
+  const sources = await resolver.resolve([
+    citation('【0:0†source】', 'file-refunds'),
+    citation('【0:1†source】', 'file-receipts'),
+    citation('【0:2†source】', 'file-refunds')
+  ]);
+
+  assert.deepEqual(sources.map(source => [source.number, source.title, source.markers.length]), [
+    [1, 'Refund policy', 2],
+    [2, 'file-receipts.pdf', 1]
+  ]);
+  assert.equal(applyCitations(text, 'footer', sources),
+    'Refunds take 5 days. [1] Keep the receipt. [2] [1]\n\nSources:\n' +
+    '[1] Refund policy: https://help.example.com/refunds\n[2] file-receipts.pdf');
+});
+
+test('leaves a source it cannot resolve out of the footer', async () => {
+  const resolver = createResolver();
+  const text = 'Shipping is free.【0:0†source】 Returns too.【0:1†source】';
+
+  const sources = await resolver.resolve([citation('【0:0†source】', 'file-missing'), citation('【0:1†source】', 'file-returns')]);
+
+  assert.deepEqual(sources.map(source => [source.number, source.fileId]), [[1, 'file-returns']]);
+  const rendered = applyCitations(text, 'footer', sources);
+  assert.equal(rendered, 'Shipping is free. Returns too. [1]\n\nSources:\n[1] file-returns.pdf');
+  assert.doesNotMatch(rendered, /file-missing/);
+});
+
+test('appends raw citations per conversation and purges them after the retention period', async () => {
+  const store = createStateStore({ type: 'memory' });
+  const log = createCitationLog({ store, retentionDays: 30 });
+  const annotations = [citation('【0:0†source】', 'file-returns')];
+  const sources = await createResolver().resolve(annotations);
+
+  await log.record('conv-1', { threadId: 'thread_1', messageId: 'msg_1', annotations, sources });
+  await log.record('conv-1', { threadId: 'thread_1', messageId: 'msg_2', annotations, sources });
+
+  const turns = await log.list('conv-1');
+  assert.deepEqual(turns.map(turn => turn.message_id), ['msg_1', 'msg_2']);
+  assert.deepEqual(turns[0].sources, [{ number: 1, file_id: 'file-returns', filename: 'file-returns.pdf', title: 'file-returns.pdf', url: null }]);
+  assert.equal(await store.count('citations'), 0, 'nothing rewritten in the state entries');
+
+  assert.equal(await log.purge(new Date(Date.now() + 29 * DAY_MS)), 0);
+  assert.equal(await log.purge(new Date(Date.now() + 31 * DAY_MS)), 2);
+  assert.deepEqual(await log.list('conv-1'), []);
+});
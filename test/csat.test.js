@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStateStore } = require('../lib/stateStore');
+const { RATING_OPTIONS, parseRating, createCsatSurvey, buildReport } = require('../lib/csat');
+
+const MINUTE_MS = 60 * 1000;
+
+test('reads ratings and ignores other messages', () => {
+  assert.deepEqual(['4', '4/5', '5 stars', '⭐⭐', '٣'].map(parseRating), [4, 4, 5, 2, 3]);
+  assert.deepEqual(RATING_OPTIONS.map(parseRating), [1, 2, 3, 4, 5]);
+  assert.deepEqual(['1 more question', '6', 'Thanks!', ''].map(parseRating), [null, null, null, null]);
+});
+
+test('surveys a conversation once after it goes idle', async () => {
+  const csat = createCsatSurvey({ store: createStateStore({ type: 'memory' }), idleMs: 30 * MINUTE_MS });
+  await csat.touch('conv-1', 'thread-1');
+
+  assert.deepEqual(await csat.dueForIdleSurvey(), []);
+  const later = new Date(Date.now() + 31 * MINUTE_MS);
+  assert.deepEqual(await csat.dueForIdleSurvey(later), ['conv-1']);
+
+  const survey = await csat.start('conv-1', { trigger: 'idle', channel: 'whatsapp' });
+  assert.equal(survey.thread_id, 'thread-1');
+  assert.deepEqual(await csat.dueForIdleSurvey(later), []);
+
+  await csat.answer('conv-1', 5);
+  assert.equal(await csat.pending('conv-1'), null);
+  assert.deepEqual(await csat.dueForIdleSurvey(later), [], 'no second survey within the cooldown');
+});
+
+test('expires surveys nobody answered', async () => {
+  const csat = createCsatSurvey({ store: createStateStore({ type: 'memory' }), responseWindowMs: MINUTE_MS });
+  await csat.start('conv-1', { trigger: 'return_to_bot' });
+
+  assert.equal(await csat.expireStale(new Date(Date.now() + 2 * MINUTE_MS)), 1);
+  const [survey] = await csat.list({ conversationId: 'conv-1' });
+  assert.equal(survey.status, 'expired');
+});
+
+test('cancels the pending survey of a conversation it forgets', async () => {
+  const csat = createCsatSurvey({ store: createStateStore({ type: 'memory' }), responseWindowMs: MINUTE_MS });
+  await csat.start('conv-1', { trigger: 'return_to_bot' });
+
+  await csat.forget('conv-1');
+  assert.equal(await csat.expireStale(new Date(Date.now() + 2 * MINUTE_MS)), 0);
+  const surveys = await csat.list({ conversationId: 'conv-1' });
+  assert.deepEqual(surveys.map(survey => survey.status), ['cancelled']);
+  assert.equal(buildReport(surveys).response_rate, null, 'a cancelled survey is not counted as unanswered');
+});
+
+test('aggregates scores by trigger and escalation', () => {
+  const report = buildReport([
+    { status: 'answered', score: 5, trigger: 'idle', channel: 'whatsapp', escalations: [] },
+    { status: 'answered', score: 2, trigger: 'return_to_bot', channel: 'web', escalations: [{ type: 'escalation' }] },
+    { status: 'expired', score: null, trigger: 'idle', channel: 'whatsapp', escalations: [] }
+  ]);
+
+  assert.equal(report.surveys, 3);
+  assert.equal(report.answered, 2);
+  assert.equal(report.average, 3.5);
+  assert.equal(report.csat, 0.5);
+  assert.deepEqual(report.distribution, { 1: 0, 2: 1, 3: 0, 4: 0, 5: 1 });
+  assert.equal(report.by_trigger.idle.response_rate, 0.5);
+  assert.equal(report.by_escalation.escalated.average, 2);
+  assert.equal(report.by_escalation.bot_only.average, 5);
+});
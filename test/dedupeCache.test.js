@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStateStore } = require('../lib/stateStore');
+const { createDedupeCache } = require('../lib/dedupeCache');
+
+test('catches a retry delivered to another replica through the shared store', async () => {
+  const store = createStateStore({ type: 'memory' });
+  const replicaA = createDedupeCache({ store });
+  const replicaB = createDedupeCache({ store });
+
+  assert.equal(await replicaA.isDuplicate('message:1', 'message_create'), false);
+  assert.equal(await replicaB.isDuplicate('message:1', 'message_create'), true);
+  assert.equal(await replicaB.isDuplicate('message:2', 'message_create'), false);
+  assert.deepEqual(replicaB.stats().duplicates_by_action, { message_create: 1 });
+});
+
+test('still accepts events when the shared store is unavailable', async () => {
+  const store = { claim: async () => { throw new Error('Connection is closed.'); } };
+  const cache = createDedupeCache({ store });
+
+  assert.equal(await cache.isDuplicate('message:1'), false);
+  assert.equal(await cache.isDuplicate('message:1'), true);
+});
+
+test('forgets an event key once its TTL has passed', async t => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+  const cache = createDedupeCache({ ttlMs: 1000 });
+
+  assert.equal(await cache.isDuplicate('message:1'), false);
+  now = 999;
+  assert.equal(await cache.isDuplicate('message:1'), true);
+  now = 1000;
+  assert.equal(await cache.isDuplicate('message:1'), false);
+  assert.equal(cache.stats().duplicates, 1);
+});
+
+test('evicts the oldest keys beyond maxEntries', async () => {
+  const cache = createDedupeCache({ maxEntries: 2 });
+
+  for (const key of ['a', 'b', 'c']) {
+    assert.equal(await cache.isDuplicate(key), false);
+  }
+  assert.equal(cache.stats().tracked, 2);
+  assert.equal(await cache.isDuplicate('c'), true);
+  assert.equal(await cache.isDuplicate('a'), false);
+});
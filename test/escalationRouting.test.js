@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStateStore } = require('../lib/stateStore');
+const { loadRoutingConfig, createEscalationRouter } = require('../lib/escalationRouting');
+
+function createRouter() {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'routing-')), 'routing.json');
+  fs.writeFileSync(filePath, JSON.stringify({
+    pools: { support: { strategy: 'round_robin', agents: ['agent-1', 'agent-2', 'agent-3'] } },
+    default: ['support']
+  }));
+  return createEscalationRouter({
+    config: loadRoutingConfig(filePath),
+    store: createStateStore({ type: 'memory' }),
+    fallbackAgentId: 'fallback-agent'
+  });
+}
+
+const agentIds = targets => targets.map(target => target.agentId);
+
+test('rotates round-robin pools on every lookup', async () => {
+  const router = createRouter();
+
+  assert.deepEqual(agentIds(await router.candidates()), ['agent-1', 'agent-2', 'agent-3', 'fallback-agent']);
+  assert.deepEqual(agentIds(await router.candidates()), ['agent-2', 'agent-3', 'agent-1', 'fallback-agent']);
+});
+
+test('looks up targets without rotating when asked not to', async () => {
+  const router = createRouter();
+
+  await router.candidates({}, { rotate: false });
+  await router.candidates({}, { rotate: false });
+  assert.deepEqual(agentIds(await router.candidates({}, { rotate: false })), ['agent-1', 'agent-2', 'agent-3', 'fallback-agent']);
+
+  // The rotated lookup that follows starts from the same agent
+  assert.deepEqual(agentIds(await router.candidates()), ['agent-1', 'agent-2', 'agent-3', 'fallback-agent']);
+  assert.equal((await router.candidates({}, { rotate: false }))[0].agentId, 'agent-2');
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { isRetryable, createCircuitBreaker, createFreshchatClient } = require('../lib/freshchatClient');
+
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+const networkError = code => Object.assign(new Error(code), { code });
+
+const isOpen = breaker => {
+  try {
+    breaker.beforeRequest();
+    return false;
+  } catch (error) {
+    assert.equal(error.code, 'FRESHCHAT_CIRCUIT_OPEN');
+    return true;
+  }
+};
+
+test('opens after the failure threshold and a success resets the count', () => {
+  const breaker = createCircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 1000 });
+
+  breaker.onFailure();
+  breaker.onFailure();
+  breaker.onSuccess();
+  breaker.onFailure();
+  breaker.onFailure();
+  assert.equal(isOpen(breaker), false);
+
+  breaker.onFailure();
+  assert.deepEqual(breaker.status(), { state: 'open', consecutive_failures: 3 });
+  assert.equal(isOpen(breaker), true);
+});
+
+test('lets a single trial request through once the reset timeout passes', t => {
+  let now = 0;
+  t.mock.method(Date, 'now', () => now);
+  const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+
+  breaker.onFailure();
+  now = 999;
+  assert.equal(isOpen(breaker), true);
+
+  now = 1000;
+  assert.equal(isOpen(breaker), false);
+  assert.equal(breaker.status().state, 'half_open');
+  assert.equal(isOpen(breaker), true, 'only one trial request at a time');
+
+  // A failed trial re-opens for another full timeout
+  breaker.onFailure();
+  now = 1500;
+  assert.equal(isOpen(breaker), true);
+
+  now = 2000;
+  assert.equal(isOpen(breaker), false);
+  breaker.onSuccess();
+  assert.deepEqual(breaker.status(), { state: 'closed', consecutive_failures: 0 });
+  assert.equal(isOpen(breaker), false);
+});
+
+test('retries a POST only when Freshchat provably did not take it', () => {
+  for (const error of [httpError(500), httpError(502), networkError('ECONNABORTED'), networkError('ECONNRESET')]) {
+    assert.equal(isRetryable(error), true);
+    assert.equal(isRetryable(error, 'post'), false, error.message);
+  }
+  for (const error of [httpError(429), httpError(503), networkError('ECONNREFUSED'), networkError('FRESHCHAT_CIRCUIT_OPEN')]) {
+    assert.equal(isRetryable(error, 'post'), true, error.message);
+  }
+  assert.equal(isRetryable(httpError(400)), false);
+});
+
+test('sends a timed-out POST once but retries a timed-out GET', async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    received.push(req.method);
+    setTimeout(() => res.end('{}'), 200);
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  const freshchat = createFreshchatClient({
+    baseUrl: `http://127.0.0.1:${server.address().port}/v2`,
+    apiKey: 'test-key',
+    timeoutMs: 50,
+    maxRetries: 2,
+    retryBaseMs: 1,
+    retryMaxMs: 1
+  });
+
+  try {
+    await assert.rejects(freshchat.post('/conversations/conv-1/messages', { message_parts: [] }), { code: 'ECONNABORTED' });
+    assert.deepEqual(received, ['POST']);
+
+    await assert.rejects(freshchat.get('/conversations/conv-1'), { code: 'ECONNABORTED' });
+    assert.deepEqual(received, ['POST', 'GET', 'GET', 'GET']);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStateStore } = require('../lib/stateStore');
+const { extractParts, createMediaProcessor } = require('../lib/inboundMedia');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createProcessor() {
+  const deleted = [];
+  let nextFile = 1;
+  const openai = {
+    files: {
+      create: async () => ({ id: `file-${nextFile++}` }),
+      del: async fileId => {
+        if (fileId === 'file-2') {
+          const error = new Error('No such file');
+          error.status = 404;
+          throw error;
+        }
+        deleted.push(fileId);
+      }
+    }
+  };
+  const freshchat = {
+    download: async () => ({ buffer: Buffer.from('data'), contentType: 'image/png' })
+  };
+  const processor = createMediaProcessor({
+    freshchat,
+    openai,
+    transcriber: { transcribe: async () => null },
+    store: createStateStore({ type: 'memory' }),
+    retentionDays: 7
+  });
+  return { processor, deleted };
+}
+
+test('deletes uploads from OpenAI once past the retention period', async () => {
+  const { processor, deleted } = createProcessor();
+  const parts = extractParts([
+    { text: { content: 'Here is my receipt' } },
+    { image: { url: 'https://cdn.example.com/receipt.png' } },
+    { file: { url: 'https://cdn.example.com/id.pdf', name: 'id.pdf', content_type: 'application/pdf' } }
+  ]);
+
+  const turn = await processor.prepare(parts);
+  assert.deepEqual(turn.images, ['file-1']);
+  assert.deepEqual(turn.files, ['file-2']);
+
+  assert.equal(await processor.purgeUploads(new Date(Date.now() + 6 * DAY_MS)), 0);
+
+  // file-2 is already gone on OpenAI's side: still forgotten
+  assert.equal(await processor.purgeUploads(new Date(Date.now() + 8 * DAY_MS)), 2);
+  assert.deepEqual(deleted, ['file-1']);
+  assert.equal(await processor.purgeUploads(new Date(Date.now() + 8 * DAY_MS)), 0);
+});
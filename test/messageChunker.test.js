@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkMessage } = require('../lib/messageChunker');
+
+const sentence = index => `This is sentence number ${index} of the reply.`;
+
+test('leaves a reply under the limit alone', () => {
+  assert.deepEqual(chunkMessage('Short answer.', { limit: 100 }), ['Short answer.']);
+});
+
+test('splits on paragraphs first and numbers the chunks', () => {
+  const paragraphs = ['a'.repeat(60), 'b'.repeat(60), 'c'.repeat(60)];
+  const chunks = chunkMessage(paragraphs.join('\n\n'), { limit: 100 });
+
+  assert.deepEqual(chunks, paragraphs.map((paragraph, index) => `${paragraph}\n(${index + 1}/3)`));
+});
+
+test('keeps every chunk within the limit, markers included', () => {
+  const text = Array.from({ length: 40 }, (_, index) => sentence(index)).join(' ');
+
+  for (const limit of [60, 120, 500]) {
+    const chunks = chunkMessage(text, { limit });
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(chunk.length <= limit, `${chunk.length} > ${limit}`));
+    assert.equal(chunks.map(chunk => chunk.replace(/\n\(\d+\/\d+\)$/, '')).join(' '), text);
+  }
+});
+
+test('keeps a list together when it fits in one message', () => {
+  const list = ['- one', '- two', '- three'].join('\n');
+  const chunks = chunkMessage(`${'Intro. '.repeat(10).trim()}\n\n${list}`, { limit: 80, markers: false });
+
+  assert.equal(chunks.length, 2);
+  assert.equal(chunks[1], list);
+});
+
+test('hard-splits a single word longer than the limit', () => {
+  const chunks = chunkMessage('x'.repeat(250), { limit: 100, markers: false });
+
+  assert.deepEqual(chunks.map(chunk => chunk.length), [100, 100, 50]);
+});
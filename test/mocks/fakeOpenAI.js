@@ -0,0 +1,219 @@
+const express = require('express');
+
+// Minimal fake of the OpenAI endpoints the server uses (Assistants threads,
+// messages and runs in streaming and polling mode, chat completions, files,
+// models). Each new run takes the next scripted behaviour from queueRun():
+//   { reply, statuses, toolCalls, status, annotations, streamBreak }
+//   - statuses:    intermediate statuses returned by retrieve before resolving
+//   - toolCalls:   [{ name, arguments }] -> run goes to requires_action first
+//   - status:      final status other than completed (failed, expired, ...)
+//   - streamBreak: 'before_created' | 'after_created' -> the first event
+//                  stream for the run drops the connection at that point
+function createFakeOpenAI({ defaultReply = 'Hello from the assistant.' } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const threads = new Map();
+  const runs = new Map();
+  const scripts = [];
+  const completions = [];
+  const toolOutputs = [];
+  let sequence = 1;
+
+  const nextId = prefix => `${prefix}_${sequence++}`;
+
+  function addMessage(threadId, { role, content, attachments = [], annotations = [] }) {
+    const parts = typeof content === 'string'
+      ? [{ type: 'text', text: { value: content, annotations } }]
+      : content.map(part => part.type === 'text'
+        ? { type: 'text', text: { value: part.text, annotations: [] } }
+        : part);
+
+    const message = {
+      id: nextId('msg'),
+      object: 'thread.message',
+      thread_id: threadId,
+      role,
+      content: parts,
+      attachments,
+      // Strictly increasing so "newest assistant message" is unambiguous
+      created_at: sequence
+    };
+    threads.get(threadId).messages.push(message);
+    return message;
+  }
+
+  function runView(run) {
+    const { script, ...view } = run;
+    return view;
+  }
+
+  const isFinished = run => ['completed', 'failed', 'expired', 'cancelled', 'incomplete'].includes(run.status);
+
+  function advance(run) {
+    const { script } = run;
+    if (isFinished(run)) return;
+
+    if (script.statuses?.length) {
+      run.status = script.statuses.shift();
+      return;
+    }
+    if (script.status) {
+      run.status = script.status;
+      run.last_error = script.status === 'failed' ? { code: 'server_error', message: 'scripted failure' } : null;
+      return;
+    }
+    if (script.toolCalls?.length && !run.toolsSubmitted) {
+      run.status = 'requires_action';
+      run.required_action = {
+        type: 'submit_tool_outputs',
+        submit_tool_outputs: {
+          tool_calls: script.toolCalls.map((call, index) => ({
+            id: `call_${run.id}_${index}`,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+          }))
+        }
+      };
+      return;
+    }
+
+    run.status = 'completed';
+    run.required_action = null;
+    addMessage(run.thread_id, {
+      role: 'assistant',
+      content: script.reply ?? defaultReply,
+      annotations: script.annotations || []
+    });
+  }
+
+  app.get('/v1/assistants/:id', (req, res) => {
+    res.json({ id: req.params.id, object: 'assistant', tools: [] });
+  });
+
+  app.post('/v1/threads', (req, res) => {
+    const id = nextId('thread');
+    threads.set(id, { id, messages: [] });
+    res.json({ id, object: 'thread' });
+  });
+
+  app.post('/v1/threads/:threadId/messages', (req, res) => {
+    if (!threads.has(req.params.threadId)) {
+      return res.status(404).json({ error: { message: 'No thread found' } });
+    }
+    res.json(addMessage(req.params.threadId, req.body));
+  });
+
+  app.get('/v1/threads/:threadId/messages', (req, res) => {
+    const thread = threads.get(req.params.threadId);
+    if (!thread) return res.status(404).json({ error: { message: 'No thread found' } });
+
+    const ordered = req.query.order === 'asc' ? [...thread.messages] : [...thread.messages].reverse();
+    res.json({ object: 'list', data: ordered.slice(0, Number(req.query.limit) || 20), has_more: false });
+  });
+
+  // Sends the run's events as server-sent events until it finishes or needs
+  // tool outputs, dropping the connection where the script says to
+  function streamRun(res, run, { created }) {
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const streamBreak = run.script.streamBreak;
+    delete run.script.streamBreak;
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.flushHeaders();
+    if (streamBreak === 'before_created') return res.destroy();
+
+    if (created) send('thread.run.created', runView(run));
+    if (streamBreak === 'after_created') return res.destroy();
+
+    do {
+      advance(run);
+      send(`thread.run.${run.status}`, runView(run));
+    } while (!isFinished(run) && run.status !== 'requires_action');
+
+    send('done', '[DONE]');
+    res.end();
+  }
+
+  app.post('/v1/threads/:threadId/runs', (req, res) => {
+    const run = {
+      id: nextId('run'),
+      object: 'thread.run',
+      thread_id: req.params.threadId,
+      assistant_id: req.body.assistant_id,
+      status: 'queued',
+      script: { ...(scripts.shift() || {}) }
+    };
+    run.script.statuses = [...(run.script.statuses || [])];
+    runs.set(run.id, run);
+    if (req.body.stream) return streamRun(res, run, { created: true });
+    res.json(runView(run));
+  });
+
+  app.get('/v1/threads/:threadId/runs', (req, res) => {
+    const data = [...runs.values()].filter(run => run.thread_id === req.params.threadId).map(runView);
+    if (req.query.order !== 'asc') data.reverse();
+    res.json({ object: 'list', data, has_more: false });
+  });
+
+  app.get('/v1/threads/:threadId/runs/:runId', (req, res) => {
+    const run = runs.get(req.params.runId);
+    advance(run);
+    res.json(runView(run));
+  });
+
+  app.post('/v1/threads/:threadId/runs/:runId/submit_tool_outputs', (req, res) => {
+    const run = runs.get(req.params.runId);
+    toolOutputs.push(...req.body.tool_outputs);
+    run.toolsSubmitted = true;
+    run.status = 'in_progress';
+    run.required_action = null;
+    if (req.body.stream) return streamRun(res, run, { created: false });
+    res.json(runView(run));
+  });
+
+  app.post('/v1/threads/:threadId/runs/:runId/cancel', (req, res) => {
+    const run = runs.get(req.params.runId);
+    run.status = 'cancelled';
+    res.json(runView(run));
+  });
+
+  // Summaries (JSON mode) and welcome-back messages
+  app.post('/v1/chat/completions', (req, res) => {
+    completions.push(req.body);
+    const content = req.body.response_format?.type === 'json_object'
+      ? JSON.stringify({
+        customer_intent: 'Wants help from a person',
+        bot_answered: ['Greeted the customer'],
+        sentiment: 'neutral',
+        open_question: null
+      })
+      : 'Welcome back! Glad our team could sort that out. Anything else I can help with?';
+
+    res.json({
+      id: nextId('chatcmpl'),
+      object: 'chat.completion',
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+    });
+  });
+
+  app.get('/v1/files/:id', (req, res) => {
+    res.json({ id: req.params.id, object: 'file', filename: `${req.params.id}.pdf` });
+  });
+
+  app.get('/v1/models', (req, res) => {
+    res.json({ object: 'list', data: [{ id: 'gpt-4o-mini', object: 'model' }] });
+  });
+
+  return {
+    app,
+    queueRun: script => scripts.push(script),
+    thread: id => threads.get(id),
+    threads: () => [...threads.values()],
+    runs: () => [...runs.values()].map(runView),
+    completions,
+    toolOutputs
+  };
+}
+
+module.exports = { createFakeOpenAI };
@@ -0,0 +1,123 @@
+const express = require('express');
+
+// Local stand-in for the Freshchat v2 endpoints the server calls. Records
+// every request and lets tests set conversation state or inject failures.
+function createFreshchatMock({ botAgentId = 'bot-agent' } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const conversations = new Map();
+  const messages = new Map();
+  const requests = [];
+  const failures = [];
+  let nextMessageId = 1;
+  let onUpdate = null;
+
+  function conversation(id) {
+    if (!conversations.has(id)) {
+      conversations.set(id, { conversation_id: id, assigned_agent_id: botAgentId, status: 'assigned' });
+    }
+    return conversations.get(id);
+  }
+
+  function conversationMessages(id) {
+    if (!messages.has(id)) messages.set(id, []);
+    return messages.get(id);
+  }
+
+  function addMessage(conversationId, { actorType, actorId = null, text, messageType = 'normal', parts = null }) {
+    const message = {
+      id: `msg-${nextMessageId++}`,
+      conversation_id: conversationId,
+      actor_type: actorType,
+      actor_id: actorId,
+      message_type: messageType,
+      message_parts: parts || [{ text: { content: text } }],
+      created_time: new Date().toISOString()
+    };
+    conversationMessages(conversationId).push(message);
+    return message;
+  }
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, body: req.body });
+
+    const index = failures.findIndex(failure =>
+      failure.method === req.method && failure.path.test(req.path)
+    );
+    if (index !== -1) {
+      const failure = failures[index];
+      if (--failure.times <= 0) failures.splice(index, 1);
+      return res.status(failure.status).json({ error: 'injected failure' });
+    }
+    next();
+  });
+
+  app.get('/v2/conversations/:id', (req, res) => {
+    res.json(conversation(req.params.id));
+  });
+
+  app.put('/v2/conversations/:id', async (req, res) => {
+    Object.assign(conversation(req.params.id), req.body);
+    // Like Freshchat, the conversation_update webhook may arrive before the response
+    if (onUpdate) await onUpdate(conversation(req.params.id));
+    res.json(conversation(req.params.id));
+  });
+
+  app.post('/v2/conversations/:id/messages', (req, res) => {
+    const message = addMessage(req.params.id, {
+      actorType: req.body.actor_type,
+      actorId: req.body.actor_id || null,
+      messageType: req.body.message_type,
+      parts: req.body.message_parts
+    });
+    res.status(201).json({ ...req.body, id: message.id });
+  });
+
+  // Newest first, like the real API
+  app.get('/v2/conversations/:id/messages', (req, res) => {
+    res.json({ messages: [...conversationMessages(req.params.id)].reverse() });
+  });
+
+  app.get('/v2/agents/:id', (req, res) => {
+    res.json({ id: req.params.id, availability_status: 'available' });
+  });
+
+  app.get('/v2/accounts/configuration', (req, res) => {
+    res.json({ account_id: 'mock-account' });
+  });
+
+  return {
+    app,
+    conversation,
+    addMessage,
+
+    // Messages the bot posted to a conversation (private notes included)
+    sentMessages(conversationId, { includePrivate = false } = {}) {
+      return conversationMessages(conversationId)
+        .filter(message => message.actor_type === 'agent' && message.actor_id === botAgentId)
+        .filter(message => includePrivate || message.message_type !== 'private');
+    },
+
+    sentTexts(conversationId, options) {
+      return this.sentMessages(conversationId, options)
+        .map(message => message.message_parts.map(part => part.text?.content).filter(Boolean).join('\n'));
+    },
+
+    requests: (method, pattern) => requests.filter(request =>
+      (!method || request.method === method) && (!pattern || pattern.test(request.path))
+    ),
+
+    // Called with the updated conversation before a PUT is answered (null to stop)
+    onConversationUpdate(handler) {
+      onUpdate = handler;
+    },
+
+    // The next `times` matching requests get an HTTP error
+    failNext(method, path, status = 500, times = 1) {
+      failures.push({ method, path, status, times });
+    }
+  };
+}
+
+module.exports = { createFreshchatMock };
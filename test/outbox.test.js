@@ -0,0 +1,134 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStateStore } = require('../lib/stateStore');
+const { createOutbox } = require('../lib/outbox');
+
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status };
+  return error;
+}
+
+const isRetryable = error => !error.response || error.response.status >= 500;
+
+test('drops a rejected message at once so later messages still go out', async () => {
+  const store = createStateStore({ type: 'memory' });
+  const sent = [];
+  const outbox = createOutbox({
+    store,
+    isRetryable,
+    send: async (conversationId, payload) => {
+      if (payload.text === 'bad') throw httpError(400);
+      sent.push(payload.text);
+    }
+  });
+
+  await outbox.enqueue('conv-1', { text: 'bad' });
+  await outbox.enqueue('conv-1', { text: 'good' });
+
+  assert.deepEqual(await outbox.flush(), { sent: 1, failed: 1 });
+  assert.deepEqual(sent, ['good']);
+  assert.deepEqual(await outbox.stats(), { pending: 0, dead: 1 });
+});
+
+test('keeps a retryable failure queued and holds the messages behind it', async () => {
+  const store = createStateStore({ type: 'memory' });
+  const outbox = createOutbox({
+    store,
+    isRetryable,
+    send: async () => { throw httpError(503); }
+  });
+
+  await outbox.enqueue('conv-1', { text: 'first' });
+  await outbox.enqueue('conv-1', { text: 'second' });
+
+  assert.deepEqual(await outbox.flush(), { sent: 0, failed: 1 });
+  assert.deepEqual(await outbox.stats(), { pending: 2, dead: 0 });
+});
+
+test('sends each entry once when several instances flush the same store', async () => {
+  const store = createStateStore({ type: 'memory' });
+  const sent = [];
+  const send = async (conversationId, payload) => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    sent.push(payload.text);
+  };
+  const replicas = [createOutbox({ store, send }), createOutbox({ store, send })];
+
+  await replicas[0].enqueue('conv-1', { text: 'one' });
+  await replicas[0].enqueue('conv-1', { text: 'two' });
+  await replicas[1].enqueue('conv-2', { text: 'three' });
+
+  await Promise.all(replicas.map(outbox => outbox.flush()));
+  await Promise.all(replicas.map(outbox => outbox.flush()));
+
+  assert.deepEqual([...sent].sort(), ['one', 'three', 'two']);
+  assert.ok(sent.indexOf('one') < sent.indexOf('two'));
+});
+
+test('falls back to the next alternative when a queued rich message is rejected', async () => {
+  const store = createStateStore({ type: 'memory' });
+  const sent = [];
+  const outbox = createOutbox({
+    store,
+    isRetryable,
+    send: async (conversationId, payload) => {
+      if (payload.buttons) throw httpError(400);
+      sent.push(payload.text);
+    }
+  });
+
+  await outbox.enqueue('conv-1', [{ text: 'Pick one', buttons: ['A', 'B'] }, { text: 'Pick one: A or B' }]);
+
+  assert.deepEqual(await outbox.flush(), { sent: 1, failed: 0 });
+  assert.deepEqual(sent, ['Pick one: A or B']);
+  assert.deepEqual(await outbox.stats(), { pending: 0, dead: 0 });
+});
+
+test('delivers each conversation in order across flushes after an outage', async () => {
+  const store = createStateStore({ type: 'memory' });
+  const sent = [];
+  let down = true;
+  const outbox = createOutbox({
+    store,
+    isRetryable,
+    retryBaseMs: 0,
+    send: async (conversationId, payload) => {
+      if (down && conversationId === 'conv-1') throw httpError(503);
+      sent.push(`${conversationId}:${payload.text}`);
+    }
+  });
+
+  for (const text of ['one', 'two', 'three']) {
+    await outbox.enqueue('conv-1', { text });
+  }
+  await outbox.enqueue('conv-2', { text: 'other' });
+
+  assert.deepEqual(await outbox.flush(), { sent: 1, failed: 1 });
+  assert.deepEqual(sent, ['conv-2:other']);
+
+  down = false;
+  await outbox.enqueue('conv-1', { text: 'four' });
+  assert.deepEqual(await outbox.flush(), { sent: 4, failed: 0 });
+  assert.deepEqual(sent.slice(1), ['conv-1:one', 'conv-1:two', 'conv-1:three', 'conv-1:four']);
+});
+
+test('does not send the alternative after a send that may have gone through', async () => {
+  const store = createStateStore({ type: 'memory' });
+  const sent = [];
+  const outbox = createOutbox({
+    store,
+    // A timed-out POST is neither retried nor resent as the text alternative
+    isRetryable: error => error.response?.status === 503,
+    send: async (conversationId, payload) => {
+      sent.push(payload.text);
+      if (payload.buttons) throw Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+    }
+  });
+
+  await outbox.enqueue('conv-1', [{ text: 'Pick one', buttons: ['A', 'B'] }, { text: 'Pick one: A or B' }]);
+
+  assert.deepEqual(await outbox.flush(), { sent: 0, failed: 1 });
+  assert.deepEqual(sent, ['Pick one']);
+  assert.deepEqual(await outbox.stats(), { pending: 0, dead: 1 });
+});
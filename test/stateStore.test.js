@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore, createFileStore } = require('../lib/stateStore');
+
+const tempStatePath = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'state-')), 'state.json');
+
+test('file store keeps threads and escalations across a restart', async () => {
+  const filePath = tempStatePath();
+  const before = createFileStore({ filePath });
+
+  await before.set('threads', 'conv-1', 'thread_abc');
+  await before.set('escalations', 'conv-1', { reason: 'user_request', escalatedAt: '2026-01-02T03:04:05.000Z' });
+  await before.set('escalations', 'conv-2', { reason: 'assistant_handoff' });
+  await before.delete('escalations', 'conv-2');
+  const threadEntry = await before.getEntry('threads', 'conv-1');
+  const escalationEntry = await before.getEntry('escalations', 'conv-1');
+  await before.close();
+
+  const after = createFileStore({ filePath });
+  assert.equal(await after.get('threads', 'conv-1'), 'thread_abc');
+  assert.deepEqual(await after.getEntry('threads', 'conv-1'), threadEntry);
+  assert.deepEqual(await after.getEntry('escalations', 'conv-1'), escalationEntry);
+  assert.equal(await after.has('escalations', 'conv-2'), false);
+  assert.equal(await after.count('escalations'), 1);
+
+  // An update keeps the original creation time
+  await after.set('threads', 'conv-1', 'thread_def');
+  const updated = await after.getEntry('threads', 'conv-1');
+  assert.equal(updated.createdAt, threadEntry.createdAt);
+  assert.ok(updated.updatedAt >= threadEntry.updatedAt);
+});
+
+for (const [name, create] of [['memory', () => createMemoryStore()], ['file', () => createFileStore({ filePath: tempStatePath() })]]) {
+  test(`${name} store reports whether delete removed anything, so it can serve as a claim`, async () => {
+    const store = create();
+    await store.set('escalations', 'conv-1', { reason: 'user_request' });
+
+    const results = await Promise.all([store.delete('escalations', 'conv-1'), store.delete('escalations', 'conv-1')]);
+    assert.deepEqual(results.sort(), [false, true]);
+    assert.equal(await store.delete('escalations', 'conv-unknown'), false);
+  });
+}
@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStateStore } = require('../lib/stateStore');
+const { createTranscriptStore, parseDateRange, toCsv } = require('../lib/transcripts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('purges entries older than the retention period', async () => {
+  const store = createStateStore({ type: 'memory' });
+  const transcripts = createTranscriptStore({ store, retentionDays: 30 });
+  const old = new Date(Date.now() - 40 * DAY_MS).toISOString();
+  const recent = new Date().toISOString();
+
+  await store.append('transcripts', 'conv-old', { at: old, type: 'user_message', actor: 'user', text: 'hi' });
+  await store.append('transcripts', 'conv-mixed', { at: old, type: 'user_message', actor: 'user', text: 'hi' });
+  await store.append('transcripts', 'conv-mixed', { at: recent, type: 'assistant_reply', actor: 'bot', text: 'hello' });
+
+  assert.deepEqual(await transcripts.purge(), { conversations: 2, entries: 2 });
+  assert.deepEqual(await store.listKeys('transcripts'), ['conv-mixed']);
+  assert.deepEqual((await transcripts.query('conv-mixed')).map(entry => entry.text), ['hello']);
+});
+
+test('keeps concurrent writes to one conversation', async () => {
+  const transcripts = createTranscriptStore({ store: createStateStore({ type: 'memory' }) });
+
+  await Promise.all(['a', 'b', 'c'].map(text =>
+    transcripts.record('conv-1', { type: 'user_message', actor: 'user', text })
+  ));
+
+  assert.deepEqual((await transcripts.query('conv-1')).map(entry => entry.text), ['a', 'b', 'c']);
+});
+
+test('appends to the file backend without rewriting the state file', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'transcripts-')), 'state.json');
+  const store = createStateStore({ type: 'file', filePath });
+  const transcripts = createTranscriptStore({ store, retentionDays: 30 });
+
+  await store.set('threads', 'conv-1', 'thread_1');
+  const stateBefore = fs.readFileSync(filePath, 'utf8');
+
+  await Promise.all(['a', 'b', 'c'].map(text =>
+    transcripts.record('conv-1', { type: 'user_message', actor: 'user', text })
+  ));
+
+  assert.equal(fs.readFileSync(filePath, 'utf8'), stateBefore);
+  assert.deepEqual((await transcripts.query('conv-1')).map(entry => entry.text), ['a', 'b', 'c']);
+  assert.equal(await transcripts.count(), 1);
+
+  assert.deepEqual(await transcripts.purge(new Date(Date.now() + 40 * DAY_MS)), { conversations: 1, entries: 3 });
+  assert.deepEqual(await transcripts.query('conv-1'), []);
+  assert.equal(await transcripts.count(), 0);
+  await store.close();
+});
+
+test('quotes CSV cells and serialises details', () => {
+  const csv = toCsv([{
+    at: '2026-01-01T00:00:00.000Z',
+    type: 'assistant_reply',
+    actor: 'bot',
+    text: 'Hi, "there"\nsecond line',
+    raw_text: null,
+    details: { chunks: 1 }
+  }]);
+
+  assert.equal(csv.split('\r\n')[1],
+    '2026-01-01T00:00:00.000Z,assistant_reply,bot,"Hi, ""there""\nsecond line",,"{""chunks"":1}"');
+});
+
+test('a bare end date covers the whole day', () => {
+  const { to } = parseDateRange({ to: '2026-03-01' });
+  assert.equal(to.toISOString(), '2026-03-01T23:59:59.999Z');
+  assert.throws(() => parseDateRange({ from: '2026-03-02', to: '2026-03-01' }), /from must be before to/);
+});
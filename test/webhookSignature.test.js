@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { SIGNATURE_HEADER, createWebhookVerifier } = require('../lib/webhookSignature');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+const sign = rawBody => crypto.createSign('RSA-SHA256').update(rawBody).sign(privateKey, 'base64');
+
+function webhook(body, { signature } = {}) {
+  const rawBody = JSON.stringify(body);
+  const headers = { [SIGNATURE_HEADER]: signature === undefined ? sign(rawBody) : signature };
+  return { body, rawBody, get: name => headers[name.toLowerCase()] };
+}
+
+// Runs the middleware and returns the HTTP status it answered with (200 = passed on)
+function verify(req, options = {}) {
+  const verifier = createWebhookVerifier({ publicKey, ...options });
+  let status = 200;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {}
+  };
+  verifier(req, res, () => {});
+  return status;
+}
+
+const payload = (actionTime = new Date()) => ({
+  action: 'message_create',
+  action_time: actionTime.toISOString(),
+  data: { message: { id: 'msg-1' } }
+});
+
+test('accepts a correctly signed, recent webhook', () => {
+  assert.equal(verify(webhook(payload())), 200);
+});
+
+test('accepts a key stored on one line with escaped newlines', () => {
+  assert.equal(verify(webhook(payload()), { publicKey: publicKey.replace(/\n/g, '\\n') }), 200);
+});
+
+test('rejects a webhook whose body was changed after signing', () => {
+  const req = webhook(payload());
+  req.rawBody = req.rawBody.replace('msg-1', 'msg-2');
+  assert.equal(verify(req), 401);
+});
+
+test('rejects a webhook without a signature or with a garbled one', () => {
+  assert.equal(verify(webhook(payload(), { signature: null })), 401);
+  assert.equal(verify(webhook(payload(), { signature: 'not-a-signature' })), 401);
+});
+
+test('rejects a signed webhook outside the replay window', () => {
+  const stale = new Date(Date.now() - 10 * 60 * 1000);
+  const future = new Date(Date.now() + 10 * 60 * 1000);
+
+  assert.equal(verify(webhook(payload(stale))), 401);
+  assert.equal(verify(webhook(payload(future))), 401);
+  assert.equal(verify(webhook(payload(stale)), { maxAgeSeconds: 900 }), 200);
+  assert.equal(verify(webhook({ action: 'message_create' })), 401);
+});
+
+test('lets every webhook through when no public key is configured', () => {
+  assert.equal(verify(webhook(payload(), { signature: null }), { publicKey: '' }), 200);
+});